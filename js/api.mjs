@@ -0,0 +1,163 @@
+// This module implements the client of the 0WM Server API. Every request goes through it, so that
+// timeouts, retries, authentication and errors are handled consistently.
+
+import { accessToken, authEnabled, reauthenticate } from '/js/auth.mjs';
+
+const TIMEOUT = 30_000;        // Default request timeout, in ms
+const UPLOAD_TIMEOUT = 300_000; // Timeout of requests uploading floorplans, in ms
+const RETRIES = 2;             // Number of retries of idempotent requests
+const RETRY_DELAY = 500;       // Delay before the first retry, doubled at each retry, in ms
+const RETRIABLE_STATUSES = [0, 408, 429, 502, 503, 504];
+
+
+// An error returned by the server, or a failure to reach it. The status is 0 if the server could
+// not be reached.
+export class ApiError extends Error {
+    constructor(method, url, status, body, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.method = method;
+        this.url = url;
+        this.status = status;
+        this.body = body;
+    }
+}
+
+
+// Extract a human-readable message from an error response body
+function serverMessage(text) {
+    try {
+        const data = JSON.parse(text);
+        return data.error ?? data.message ?? data.detail ?? text;
+    }
+    catch {
+        return text;
+    }
+}
+
+// Send a single request. The body is serialized as JSON, unless it is a Blob. Responses are parsed
+// as JSON, or returned as a Blob if requested.
+function send(method, url, { body, timeout, onProgress, responseType, token }) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open(method, url);
+        xhr.timeout = timeout;
+        // JSON responses are read as text, so that error bodies remain readable
+        xhr.responseType = responseType === 'blob' ? 'blob' : 'text';
+        if (body !== undefined && !(body instanceof Blob))
+            xhr.setRequestHeader('Content-Type', 'application/json');
+        if (token !== null)
+            xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+        if (onProgress !== undefined)
+            xhr.upload.addEventListener('progress', e => onProgress(e.loaded, e.total));
+
+        xhr.addEventListener('load', () => {
+            if (xhr.status >= 200 && xhr.status < 300) {
+                if (responseType === 'blob')
+                    resolve(xhr.response);
+                else if (xhr.response === '')
+                    resolve(null);
+                else {
+                    try {
+                        resolve(JSON.parse(xhr.response));
+                    }
+                    catch {
+                        reject(new ApiError(method, url, xhr.status, xhr.response,
+                                            `${method} ${url} returned an invalid response`));
+                    }
+                }
+                return;
+            }
+            // An unreadable error body is reported without details
+            const text = responseType === 'blob' ? xhr.response.text() : Promise.resolve(xhr.response);
+            text.catch(() => '').then(text => {
+                const details = serverMessage(text);
+                const message = `${method} ${url} failed (${xhr.status} ${xhr.statusText})` +
+                                (details ? `: ${details}` : '');
+                reject(new ApiError(method, url, xhr.status, details, message));
+            });
+        });
+        xhr.addEventListener('error', () => {
+            reject(new ApiError(method, url, 0, null, `The server could not be reached (${method} ${url})`));
+        });
+        xhr.addEventListener('timeout', () => {
+            reject(new ApiError(method, url, 0, null, `The server did not answer in time (${method} ${url})`));
+        });
+
+        xhr.send(body === undefined || body instanceof Blob ? body : JSON.stringify(body));
+    });
+}
+
+// Send a request, retrying idempotent ones if the server cannot be reached or is unavailable. If
+// the server rejects the access token, it is renewed once and the request is sent again.
+function request(method, path, options = {}) {
+    const url = `${window.apiURL}/${path}`;
+    const settings = { timeout: TIMEOUT, responseType: 'json', ...options };
+    const retries = method === 'GET' ? RETRIES : 0;
+    const attempt = (n, renewed) => accessToken().then(token => send(method, url, { ...settings, token }))
+        .catch(err => {
+            if (err instanceof ApiError && err.status === 401 && authEnabled() && !renewed)
+                return reauthenticate().then(() => attempt(n, true));
+            if (n >= retries || !(err instanceof ApiError) || !RETRIABLE_STATUSES.includes(err.status))
+                throw err;
+            return new Promise(resolve => setTimeout(resolve, RETRY_DELAY * 2 ** n))
+                .then(() => attempt(n + 1, renewed));
+        });
+    return attempt(0, false);
+}
+
+
+// Get a URL to display a floorplan image stored on the server. Images cannot be requested with an
+// access token by the browser itself, so they are downloaded first if the server requires
+// authentication.
+export function floorplanSource(path) {
+    if (!authEnabled())
+        return Promise.resolve(`${window.apiURL}/${path}`);
+    return getFloorplan(path).then(blob => URL.createObjectURL(blob));
+}
+
+// Download a floorplan image stored on the server
+export function getFloorplan(path) {
+    return request('GET', path, { responseType: 'blob' });
+}
+
+// List the identifiers of the maps stored on the server
+export function listMaps() {
+    return request('GET', 'maps');
+}
+
+// Get a map stored on the server
+export function getMap(id) {
+    return request('GET', `maps/${id}`);
+}
+
+// Get every map stored on the server, as [identifier, map] pairs. Maps which cannot be fetched are
+// reported separately, so that a single failure does not hide the other maps.
+export function getMaps() {
+    return listMaps().then(ids => Promise.allSettled(ids.map(id => getMap(id).then(data => [id, data]))))
+        .then(results => ({
+            maps: results.filter(e => e.status === 'fulfilled').map(e => e.value),
+            errors: results.filter(e => e.status === 'rejected').map(e => e.reason)
+        }));
+}
+
+// Create a map. The upload progress callback receives the sent and total sizes, in bytes.
+export function createMap(payload, onProgress) {
+    return request('POST', 'maps', { body: payload, timeout: UPLOAD_TIMEOUT, onProgress });
+}
+
+// Replace a map with a new version. The upload progress callback receives the sent and total
+// sizes, in bytes.
+export function updateMap(id, payload, onProgress) {
+    return request('PUT', `maps/${id}`, { body: payload, timeout: UPLOAD_TIMEOUT, onProgress });
+}
+
+// Rename a map
+export function renameMap(id, name) {
+    return request('PATCH', `maps/${id}`, { body: { name } });
+}
+
+// Delete a map
+export function deleteMap(id) {
+    return request('DELETE', `maps/${id}`);
+}
@@ -1,6 +1,19 @@
 // This module provides the OpMode application entrypoint. Nothing here is supposed to be exported.
 
+import { createMap, getFloorplan, updateMap } from '/js/api.mjs';
+import { configureAuth, handleLoginRedirect } from '/js/auth.mjs';
+import { getConfig, hasFeature, loadConfig } from '/js/config.mjs';
+import { deleteDraft, listDrafts, saveDraft } from '/js/drafts.mjs';
+import { MODELS, fitMatrix } from '/js/georef.mjs';
+import { toGeoJSON } from '/js/geojson.mjs';
+import { Point2 } from '/js/linalg.mjs';
+import { defineMaterials } from '/js/materials.mjs';
+import { RESOLUTIONS, isPDF, openPDF, renderPage, renderSize, renderThumbnail } from '/js/pdf-import.mjs';
+import { defineProjections } from '/js/projections.mjs';
+import { registerTileCache } from '/js/tile-cache.mjs';
 import { createElement as E } from '/js/util.mjs';
+import { LAYER_ROLES, drawingShapes, guessLayerRoles, parseDrawing, rasterizeDrawing,
+         vectorFormat } from '/js/vector-import.mjs';
 
 
 let modal = null;
@@ -9,12 +22,34 @@ let floorplanContainer = null;
 let floorplanEditor = null;
 let floorplanViewer = null;
 let worldMap = null;
-let b64Data = null;
 let progress = null;
 let submitBtn = null;
 let nameInput = null;
+let levelSelect = null;
+let levelInput = null;
+let mapId = null;
+let draftId = null;
+let draftTimer = null;
+let draftError = null;  // Dismisses the notification of the last failed draft save
+let submitError = null; // Dismisses the notification of the last failed submission
+let levels = [];      // Levels of the project, from the lowest to the highest
+let currentLevel = 0; // Index of the level being edited
 const TABS = { edit: 'Floorplan Editor', map: 'Map Editor', misc: 'Additional Parameters' };
-const ALLOWED_MIME = ['image/jpeg', 'image/png', 'image/web'];
+const RASTER_MIME = ['image/jpeg', 'image/png', 'image/webp'];
+const THUMBNAIL_SIZE = 120; // Size of PDF page thumbnails, in px
+const DEFAULT_DPI = 150;    // Default render resolution of PDF pages
+const DRAFT_DELAY = 1000; // Delay between the last change and the draft save, in ms
+const PAYLOAD_VERSION = 2; // Version of the project payload, in which shapes carry their properties
+
+
+// Get the file types accepted as floorplans, depending on the enabled features
+function acceptedFiles() {
+    return [
+        ...RASTER_MIME,
+        ...(hasFeature('pdf') ? ['application/pdf'] : []),
+        ...(hasFeature('cad') ? ['image/svg+xml', '.svg', '.dxf'] : [])
+    ].join();
+}
 
 
 // Import component modules
@@ -22,60 +57,165 @@ function loadComponent(name) {
     import(`/js/components/${name}.mjs`);
 }
 
+loadComponent('notification-area');
 loadComponent('floorplan-container');
 loadComponent('world-map');
 loadComponent('floorplan-editor');
 loadComponent('floorplan-viewer');
+loadComponent('project-manager');
 loadComponent('tab-container');
 
 
 // Delete the application and open the intro modal
 function deleteApp() {
+    clearTimeout(draftTimer);
+    submitError?.();
+    submitError = null;
+    draftError?.();
+    draftError = null;
     app.remove();
+    mapId = null;
+    draftId = null;
+    levels.forEach(e => URL.revokeObjectURL(e.url));
+    levels = [];
+    currentLevel = 0;
     openModal();
 }
 
 
+// Discard the current draft, then delete the application
+function discardApp() {
+    if (draftId !== null)
+        deleteDraft(draftId).catch(err => document.notificationArea.error('The draft could not be discarded', err));
+    deleteApp();
+}
+
+
+// Save the state of the level being edited. Floorplan anchors are stored per level, while the map
+// anchors are shared by every level.
+function storeLevel() {
+    levels[currentLevel].state = {
+        ...floorplanEditor.toJSON(),
+        anchors: floorplanContainer.toJSON(),
+        zmin: parseFloat(document.getElementById('zmin').value),
+        zmax: parseFloat(document.getElementById('zmax').value)
+    };
+}
+
+
+// Serialize the project, without its floorplan images
+function serialize() {
+    storeLevel();
+    return {
+        name: nameInput.value,
+        transform: worldMap.getModel(),
+        anchors: worldMap.toJSON(),
+        levels: levels.map(({ name, state }) => ({ name, state }))
+    };
+}
+
+
+// Convert project data, as exchanged with the server, into its serialized representation. Payloads
+// without a version are the original one, whose shapes are bare lists of points.
+function parseProject(data) {
+    if ((data.version ?? 1) > PAYLOAD_VERSION)
+        throw new Error(`The project uses a newer format (version ${data.version}) than this OpMode supports`);
+    const parseLevel = (level, i) => ({
+        name: level.name ?? `Level ${i}`,
+        state: {
+            floorplan: level.floorplan,
+            structure: level.structure,
+            walls: level.walls,
+            calibration: level.calibration,
+            anchors: level.anchors.map(({ x, y }) => ({ x, y })),
+            zmin: level.zmin,
+            zmax: level.zmax
+        }
+    });
+
+    // Single-level projects store their level at the top level of the project
+    if (data.levels === undefined)
+        return { name: data.name, transform: data.transform,
+                 anchors: data.anchors.map(({ lng, lat }) => ({ lng, lat })),
+                 levels: [{ ...parseLevel(data, 0), name: 'Level 0' }] };
+    return { name: data.name, transform: data.transform,
+             anchors: data.levels[0].anchors.map(({ lng, lat }) => ({ lng, lat })),
+             levels: data.levels.map(parseLevel) };
+}
+
+
+// Save the current draft once the user stops editing for a while
+function scheduleDraftSave() {
+    clearTimeout(draftTimer);
+    draftTimer = setTimeout(() => {
+        if (draftId === null || levels.length === 0 || levels.some(e => e.blob === null))
+            return;
+        // A failed save is only reported once, until a later save succeeds
+        saveDraft({ id: draftId, mapId, images: levels.map(e => e.blob), project: serialize() }).then(() => {
+            draftError?.();
+            draftError = null;
+        }).catch(err => {
+            draftError ??= document.notificationArea.error('The draft could not be saved', err);
+        });
+    }, DRAFT_DELAY);
+}
+
+
+// Build the payload of a level, along with its floorplan image
+function levelPayload(level) {
+    const { anchors, ...payload } = level.state;
+    payload.anchors = worldMap.fittedAnchors(anchors.map(e => new Point2(e.x, e.y)));
+    payload.floorplan = { ...payload.floorplan, data: level.b64Data };
+    return payload;
+}
+
+
 // Submit the floorplan data
 function submit() {
     submitBtn.disabled = true;
     document.body.classList.add('sending');
-    const anchors = [];
-    const localAnchors = floorplanContainer.toJSON();
-    const globalAnchors = worldMap.toJSON();
-    for (let i = 0; i < localAnchors.length; i++) {
-        const { x, y } = localAnchors[i];
-        const { lng, lat } = globalAnchors[i];
-        anchors.push({ x: x, y: y, lng: lng, lat: lat });
-    }
-
-    const payload = floorplanEditor.toJSON();
-    payload.anchors = anchors;
-    payload.floorplan.data = b64Data;
-    payload.name = nameInput.value;
-    payload.zmin = parseFloat(document.getElementById('zmin').value);
-    payload.zmax = parseFloat(document.getElementById('zmax').value);
-
-    const xhr = new XMLHttpRequest();
-    xhr.open('POST', `${window.apiURL}/maps`);
-    xhr.setRequestHeader('Content-Type', 'application/json');
-    xhr.upload.addEventListener('progress', e => progress.style.width = `${100 * e.loaded / e.total}%`);
-    xhr.addEventListener('load', () => {
+    storeLevel();
+
+    // Single-level projects keep the original payload format
+    const payload = { version: PAYLOAD_VERSION, name: nameInput.value, transform: worldMap.getModel() };
+    if (levels.length === 1)
+        Object.assign(payload, levelPayload(levels[0]));
+    else
+        payload.levels = levels.map(e => ({ name: e.name, ...levelPayload(e) }));
+
+    // When editing an existing project, update it in place. On failure, the project stays open and
+    // its draft is kept, so that the submission can be retried.
+    submitError?.();
+    const onProgress = (loaded, total) => progress.style.width = `${100 * loaded / total}%`;
+    const request = mapId === null ? createMap(payload, onProgress) : updateMap(mapId, payload, onProgress);
+    request.then(() => {
         resetProgress();
-        if (xhr.status >= 200 && xhr.status < 300) {
-            deleteApp();
-        }
-        else {
-            alert('An error occurred');
-        }
-    });
-
-    xhr.addEventListener('error', () => {
+        document.notificationArea.info(`${payload.name || 'The project'} was saved`);
+        discardApp();
+    }).catch(err => {
         resetProgress();
-        alert('An error occurred');
+        submitError = document.notificationArea.error('The project could not be submitted. Your work is ' +
+                                                      'kept as a draft.', err, [{ label: 'Retry', callback: submit }]);
     });
+}
+
 
-    xhr.send(JSON.stringify(payload));
+// Download the project as GeoJSON, for use in GIS software
+function exportProject() {
+    if (!worldMap.isPlaced()) {
+        document.notificationArea.error('Place the floorplan on the map before exporting it.');
+        return;
+    }
+    storeLevel();
+    const data = toGeoJSON(nameInput.value, levels.map(({ name, state }) => ({
+        ...state,
+        name,
+        transformation: worldMap.fitTransformation(state.anchors.map(e => new Point2(e.x, e.y)))
+    })));
+
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: 'application/geo+json' }));
+    E('a', null, { href: url, download: `${nameInput.value || 'project'}.geojson` }).click();
+    setTimeout(() => URL.revokeObjectURL(url));
 }
 
 
@@ -109,6 +249,8 @@ function getStatus(e) {
 // Create the application
 function createApp() {
     app = document.body.appendElement({ tag: 'div', className: 'app' });
+    app.addEventListener('change', scheduleDraftSave);
+    app.addEventListener('input', scheduleDraftSave);
     let tabContainer;
     [tabContainer, progress,] = app.appendElements(
         'tab-container',
@@ -123,9 +265,20 @@ function createApp() {
         tabContainer.appendChild(E('div', 'tab', { dataTarget: target }, title));
     }
 
+    levelInput = app.appendElement({ tag: 'input', attributes: { type: 'file', accept: acceptedFiles(), hidden: 'hidden' } });
+    levelInput.addEventListener('change', () => {
+        addLevel(levelInput.files[0]);
+        levelInput.value = '';
+    });
+
     const cancelBtn = E('button', 'right', null, 'Cancel');
-    cancelBtn.addEventListener('click', deleteApp);
+    cancelBtn.addEventListener('click', discardApp);
     tabContainer.appendChild(cancelBtn);
+    const exportBtn = E('button', 'right', { title: 'Download the georeferenced project as GeoJSON' },
+                        'Export');
+    exportBtn.addEventListener('click', exportProject);
+    if (hasFeature('export'))
+        tabContainer.appendChild(exportBtn);
     submitBtn = E('button', 'right submit', { disabled: 'disabled' }, 'Submit');
     submitBtn.addEventListener('click', submit);
     tabContainer.appendChild(submitBtn);
@@ -134,18 +287,67 @@ function createApp() {
         nameInput.dispatchEvent(new Event('statuschange', { bubbles: true }));
     });
     tabContainer.appendChild(nameInput);
+    levelSelect = E('select', 'right level', { title: 'Level being edited' });
+    levelSelect.addEventListener('change', () => {
+        const value = levelSelect.value;
+        levelSelect.value = currentLevel;
+        switch (value) {
+            case 'add':
+                levelInput.click();
+                break;
+            case 'rename':
+                renameLevel();
+                break;
+            case 'remove':
+                removeLevel();
+                break;
+            default:
+                selectLevel(parseInt(value));
+        }
+    });
+    if (hasFeature('levels'))
+        tabContainer.appendChild(levelSelect);
 
     floorplanEditor = E('floorplan-editor', null, { status: 1 });
     panes['edit'].appendChild(floorplanEditor);
 
     const mapPanel = panes['map'].appendElement({ tag: 'div', className: 'left-panel' });
-    [floorplanContainer,,] = mapPanel.appendElements(
+    const modelField = mapPanel.appendElement({ tag: 'div', className: 'field model' });
+    const [, modelSelect] = modelField.appendElements(
+        { tag: 'label', attributes: { for_: 'transform-model' }, content: 'Transformation' },
+        { tag: 'select', attributes: { id: 'transform-model' } }
+    );
+    for (const [model, { name }] of Object.entries(MODELS))
+        modelSelect.appendElement({ tag: 'option', attributes: { value: model }, content: name });
+    modelSelect.value = 'affine';
+    [floorplanContainer,,,] = mapPanel.appendElements(
         { tag: 'floorplan-container', attributes: { status: 1 } },
         { tag: 'button', className: 'next', attributes: { id: 'place' }, content: 'Place in current view' },
-        { tag: 'button', className: 'previous', attributes: { id: 'unplace', disabled: 'disabled' }, content: 'Remove from the map' }
+        { tag: 'button', className: 'previous', attributes: { id: 'unplace', disabled: 'disabled' }, content: 'Remove from the map' },
+        { tag: 'button', attributes: { id: 'add-anchor' }, content: 'Add an anchor' }
+    );
+    mapPanel.appendElement({ tag: 'div', className: 'backdrop' }).appendElements(
+        { tag: 'button', attributes: { id: 'load-backdrop', title: 'Show a local GeoTIFF, or an image with its world file, below the floorplan' },
+          content: 'Load an orthophoto' },
+        { tag: 'button', attributes: { id: 'remove-backdrop', disabled: 'disabled' }, content: 'Remove it' }
+    );
+    const footprint = mapPanel.appendElement({ tag: 'div', className: 'footprint' });
+    footprint.hidden = !hasFeature('footprints');
+    footprint.appendElements(
+        { tag: 'button', attributes: { id: 'load-footprint', title: 'Load building footprints from a GeoJSON or KML file' },
+          content: 'Load a footprint' },
+        { tag: 'button', attributes: { id: 'snap-footprint', disabled: 'disabled' }, content: 'Snap to footprint' }
     );
     worldMap = panes['map'].appendElement('world-map');
 
+    // Floorplan anchors match the map anchors, which are shared by every level
+    floorplanContainer.addEventListener('anchorremove', e => {
+        levels.forEach((level, i) => {
+            if (i !== currentLevel)
+                level.state.anchors.splice(e.detail, 1);
+        });
+    });
+
     const miscPanel = panes['misc'].appendElement({ tag: 'div', className: 'top-panel' });
     miscPanel.appendChild(createField('zmin', 'Floor altitude', 'm'));
     miscPanel.appendChild(createField('zmax', 'Ceiling altitude', 'm'));
@@ -159,7 +361,7 @@ function createApp() {
         floorplanViewer.setAttribute('status', Math.max(getStatus(zmin), getStatus(zmax),
                                                         getStatus(height)));
         floorplanViewer.setAttribute('wall-height', parseFloat(height.value));
-        floorplanViewer.refresh?.();
+        refreshViewer();
     }
 
     function updateHeight() {
@@ -174,26 +376,430 @@ function createApp() {
         zmax.value = parseFloat(e.target.value) + parseFloat(zmin.value);
         updateStatus();
     });
+    app.addEventListener('change', refreshViewer);
 
     updateHeight();
 }
 
 
-// Load a floorplan. The application only supports JPEG, PNG and WebP images.
-function loadFloorplan(e) {
-    const file = e.target.files[0];
-    if (!ALLOWED_MIME.includes(file.type)) {
-        alert('Invalid file. Please select a supported image type (JPEG, PNG or WebP).')
-        return;
+// Read an uploaded floorplan into a raster image, along with the shapes it contains. The
+// application supports JPEG, PNG and WebP images, PDF documents, whose pages are rendered, as well
+// as SVG and DXF drawings, whose layers are imported as boundaries or walls. The result is null if
+// the user cancels the import.
+function readUpload(file) {
+    const { maxSize } = getConfig().uploads;
+    if (maxSize !== null && file.size > maxSize * 1e6) {
+        return Promise.reject(new Error(`The file is too large (${(file.size / 1e6).toFixed(1)} MB). ` +
+                                        `The maximum upload size is ${maxSize} MB.`));
+    }
+    if (RASTER_MIME.includes(file.type))
+        return Promise.resolve({ blob: file, structure: [], walls: [] });
+    if (isPDF(file) && hasFeature('pdf')) {
+        return openPDF(file).then(pickPdfPage)
+            .then(blob => blob === null ? null : { blob, structure: [], walls: [] });
+    }
+    if (vectorFormat(file) === null || !hasFeature('cad')) {
+        const formats = ['JPEG', 'PNG', 'WebP', ...(hasFeature('pdf') ? ['PDF'] : []),
+                         ...(hasFeature('cad') ? ['SVG', 'DXF'] : [])];
+        return Promise.reject(new Error('Invalid file. Please select a supported file type ' +
+                                        `(${formats.slice(0, -1).join(', ')} or ${formats.at(-1)}).`));
+    }
+    return parseDrawing(file).then(drawing => pickLayers(drawing).then(roles => {
+        if (roles === null)
+            return null;
+        return rasterizeDrawing(drawing).then(blob => ({ blob, ...drawingShapes(drawing, roles) }));
+    }));
+}
+
+
+// Show a large modal dialog and return its emptied content. The intro modal is reused if it is
+// open.
+function showDialog(title) {
+    if (!modal.isConnected) {
+        modal = E('div', 'modal');
+        modal.appendElements({ tag: 'div', className: 'title' }, { tag: 'div', className: 'content' });
+        document.body.appendChild(modal);
+        document.body.classList.add('modal-open');
+    }
+    modal.classList.remove('with-drafts');
+    modal.classList.add('large');
+    modal.querySelector('.title').textContent = title;
+    const content = modal.querySelector('.content');
+    content.replaceChildren();
+    return content;
+}
+
+
+// Ask the user which page of a PDF document to import, and at which resolution. Resolve to the
+// rendered page, or to null if the user cancels the import.
+function pickPdfPage(pdf) {
+    const content = showDialog('Import a PDF page');
+    const [list, field, importBtn, cancelBtn] = content.appendElements(
+        { tag: 'div', className: 'page-list' },
+        { tag: 'div', className: 'field resolution' },
+        { tag: 'button', className: 'next', content: 'Import' },
+        { tag: 'button', className: 'previous', content: 'Cancel' }
+    );
+    const [, dpiSelect, size] = field.appendElements(
+        { tag: 'label', attributes: { for_: 'pdf-resolution' }, content: 'Resolution' },
+        { tag: 'select', attributes: { id: 'pdf-resolution' } },
+        { tag: 'span', className: 'size' }
+    );
+    for (const dpi of RESOLUTIONS)
+        dpiSelect.appendElement({ tag: 'option', attributes: { value: dpi }, content: `${dpi} DPI` });
+    dpiSelect.value = DEFAULT_DPI;
+
+    let selected = 1;
+    let done = false;
+    const updateSize = () => pdf.getPage(selected).then(page => {
+        const { width, height } = renderSize(page, parseInt(dpiSelect.value));
+        size.textContent = `${width} × ${height} px`;
+    }).catch(() => size.textContent = '');
+    dpiSelect.addEventListener('change', updateSize);
+
+    // Thumbnails are rendered one after the other, to keep the memory usage low on long documents.
+    // Pages whose thumbnail cannot be rendered are still listed, without a preview.
+    let thumbnails = Promise.resolve();
+    for (let n = 1; n <= pdf.numPages; n++) {
+        const item = list.appendElement({ tag: 'div', className: n === 1 ? 'page selected' : 'page' });
+        item.appendElement({ tag: 'span', content: `Page ${n}` });
+        item.addEventListener('click', () => {
+            list.querySelector('.selected').classList.remove('selected');
+            item.classList.add('selected');
+            selected = n;
+            updateSize();
+        });
+        thumbnails = thumbnails.then(() => done ? null : pdf.getPage(n).then(page => {
+            return renderThumbnail(page, THUMBNAIL_SIZE);
+        }).then(canvas => item.prepend(canvas), () => null));
     }
+    updateSize();
+
+    return new Promise((resolve, reject) => {
+        const finish = result => {
+            done = true;
+            thumbnails.then(() => pdf.destroy());
+            return result;
+        };
+        importBtn.addEventListener('click', () => {
+            importBtn.disabled = true;
+            importBtn.textContent = 'Rendering…';
+            done = true;
+            pdf.getPage(selected).then(page => renderPage(page, parseInt(dpiSelect.value)))
+                .then(blob => resolve(finish(blob)), err => reject(finish(err)));
+        }, { once: true });
+        cancelBtn.addEventListener('click', () => resolve(finish(null)));
+    });
+}
+
+
+// Ask the user how each layer of a drawing should be imported
+function pickLayers(drawing) {
+    const content = showDialog('Import drawing layers');
+    const [list, importBtn, cancelBtn] = content.appendElements(
+        { tag: 'div', className: 'layer-list' },
+        { tag: 'button', className: 'next', content: 'Import' },
+        { tag: 'button', className: 'previous', content: 'Cancel' }
+    );
+
+    const roles = guessLayerRoles(drawing);
+    for (const layer of drawing.layers) {
+        const count = drawing.entities.filter(e => e.layer === layer).length;
+        const item = list.appendElement({ tag: 'div', className: 'layer' });
+        const [,, select] = item.appendElements(
+            { tag: 'span', className: 'name', content: layer },
+            { tag: 'span', className: 'count', content: `${count} shape${count > 1 ? 's' : ''}` },
+            { tag: 'select' }
+        );
+        for (const [role, name] of Object.entries(LAYER_ROLES))
+            select.appendElement({ tag: 'option', attributes: { value: role }, content: name });
+        select.value = roles.get(layer);
+        select.addEventListener('change', () => roles.set(layer, select.value));
+    }
+
+    return new Promise(resolve => {
+        importBtn.addEventListener('click', () => resolve(roles));
+        cancelBtn.addEventListener('click', () => resolve(null));
+    });
+}
+
+
+// Load a floorplan, starting a new project
+function loadFloorplan(e) {
+    readUpload(e.target.files[0]).then(upload => {
+        if (upload === null) {
+            modal.remove();
+            deleteApp();
+            return;
+        }
+
+        draftId = crypto.randomUUID();
+        levels = [createLevel('Level 0', upload.blob, URL.createObjectURL(upload.blob),
+                              { structure: upload.structure, walls: upload.walls, anchors: [] })];
+        showLevel(0, false);
+        closeModal();
+        scheduleDraftSave();
+    }).catch(err => {
+        document.notificationArea.error('The floorplan could not be imported', err);
+        modal.remove();
+        deleteApp();
+    });
+}
 
+
+// Create a level from its floorplan image and its serialized state. The image may be set later.
+function createLevel(name, blob, url, state) {
+    const level = { name, blob, url, b64Data: null, state };
+    if (blob !== null)
+        readFloorplan(level);
+    return level;
+}
+
+
+// Read the floorplan image of a level into its base64 representation
+function readFloorplan(level) {
     const reader = new FileReader();
-    reader.addEventListener('load', () => b64Data = reader.result);
-    reader.readAsDataURL(file);
-    const url = URL.createObjectURL(file);
+    reader.addEventListener('load', () => level.b64Data = reader.result);
+    reader.readAsDataURL(level.blob);
+}
+
+
+// Set the floorplan image of every component
+function setFloorplanSource(url) {
     floorplanContainer.setAttribute('src', url);
     floorplanEditor.setAttribute('src', url);
     floorplanViewer.setAttribute('src', url);
+}
+
+
+// Display a level in the application components. Its floorplan anchors are only restored if the
+// project is placed on the map.
+function showLevel(index, placed) {
+    currentLevel = index;
+    const { url, state } = levels[index];
+    if (placed)
+        floorplanContainer.setAnchors(state.anchors.map(e => new Point2(e.x, e.y)));
+    floorplanEditor.load(state);
+    setFloorplanSource(url);
+
+    const zmin = document.getElementById('zmin');
+    zmin.value = state.zmin ?? '';
+    document.getElementById('zmax').value = state.zmax ?? '';
+    zmin.dispatchEvent(new Event('change'));
+    refreshLevelSelect();
+}
+
+
+// Display another level, completing its floorplan anchors with the ones of the level being left
+function enterLevel(index) {
+    const anchors = floorplanContainer.toJSON();
+    const state = levels[index].state;
+    state.anchors = [...state.anchors, ...anchors.slice(state.anchors.length)].slice(0, anchors.length);
+
+    // The map overlay has to show the new floorplan once it is loaded
+    if (worldMap.isPlaced())
+        floorplanContainer.addEventListener('floorplanload', () => worldMap.refreshOverlay(), { once: true });
+    showLevel(index, worldMap.isPlaced());
+    scheduleDraftSave();
+}
+
+
+// Switch to another level of the project
+function selectLevel(index) {
+    if (index === currentLevel)
+        return;
+    storeLevel();
+    enterLevel(index);
+}
+
+
+// Add a level above the others, starting from the floorplan anchors of the level being edited
+function addLevel(file) {
+    if (file === undefined)
+        return;
+    readUpload(file).then(upload => {
+        closeModal();
+        if (upload === null)
+            return;
+        storeLevel();
+        const anchors = [...levels[currentLevel].state.anchors];
+        const zmin = levels.at(-1).state.zmax;
+        levels.push(createLevel(`Level ${levels.length}`, upload.blob, URL.createObjectURL(upload.blob),
+                                { structure: upload.structure, walls: upload.walls, anchors, zmin }));
+        enterLevel(levels.length - 1);
+    }).catch(err => {
+        closeModal();
+        document.notificationArea.error('The floorplan could not be imported', err);
+    });
+}
+
+
+// Rename the level being edited
+function renameLevel() {
+    const name = prompt('Level name', levels[currentLevel].name);
+    if (!name)
+        return;
+    levels[currentLevel].name = name;
+    refreshLevelSelect();
+    scheduleDraftSave();
+}
+
+
+// Remove the level being edited, as long as another one remains
+function removeLevel() {
+    if (levels.length < 2 || !confirm(`Remove ${levels[currentLevel].name} and everything drawn on it?`))
+        return;
+    const [removed] = levels.splice(currentLevel, 1);
+    URL.revokeObjectURL(removed.url);
+    enterLevel(Math.min(currentLevel, levels.length - 1));
+}
+
+
+// Update the options of the level switcher
+function refreshLevelSelect() {
+    levelSelect.replaceChildren();
+    levels.forEach((level, i) => {
+        levelSelect.appendElement({ tag: 'option', attributes: { value: i }, content: level.name });
+    });
+    const actions = levelSelect.appendElement({ tag: 'optgroup', attributes: { label: 'Levels' } });
+    actions.appendElements(
+        { tag: 'option', attributes: { value: 'add' }, content: 'Add a level…' },
+        { tag: 'option', attributes: { value: 'rename' }, content: 'Rename this level…' },
+        { tag: 'option', attributes: { value: 'remove' }, content: 'Remove this level' }
+    );
+    actions.lastChild.disabled = levels.length < 2;
+    levelSelect.value = currentLevel;
+}
+
+
+// Update the levels shown by the 3D viewer. Levels are aligned on the level being edited through
+// their floorplan anchors.
+function refreshViewer() {
+    const model = worldMap.getModel() === 'similarity' ? 'similarity' : 'affine';
+    const anchors = floorplanContainer.getAnchors();
+    floorplanViewer.setLevels(levels.map((level, i) => {
+        const { structure, walls, zmin, zmax } = level.state;
+        const src = level.state.anchors.slice(0, anchors.length).map(e => new Point2(e.x, e.y));
+        return {
+            src: level.url,
+            shapes: [...(structure ?? []), ...(walls ?? [])],
+            zmin: i === currentLevel ? parseFloat(document.getElementById('zmin').value) : zmin,
+            zmax,
+            matrix: fitMatrix(model, src, anchors.slice(0, src.length)),
+            current: i === currentLevel
+        };
+    }));
+}
+
+
+// Restore a serialized project into the application. Each level comes with its floorplan image
+// and the URL to display it.
+function restoreProject(project, sources) {
+    levels = sources.map(e => createLevel(e.name, e.blob, e.url, e.state));
+    worldMap.setModel(project.transform ?? 'affine');
+
+    // The world map anchors can only be placed once the floorplan dimensions are known
+    if (project.anchors.length > 0) {
+        floorplanContainer.addEventListener('floorplanload', () => {
+            worldMap.setAnchors(project.anchors);
+        }, { once: true });
+    }
+    showLevel(0, project.anchors.length > 0);
+    if (mapId !== null)
+        worldMap.excludeMap(mapId);
+
+    nameInput.value = project.name ?? '';
+    nameInput.dispatchEvent(new Event('input'));
+    closeModal();
+
+    // Restoring a project is not a change by itself
+    clearTimeout(draftTimer);
+}
+
+
+// Load an existing project into the application, once its floorplan images are downloaded
+function loadProject(id, data) {
+    const paths = (data.levels ?? [data]).map(level => level.path);
+    Promise.all(paths.map(path => getFloorplan(path))).then(blobs => {
+        mapId = id;
+        draftId = crypto.randomUUID();
+        const project = parseProject(data);
+        restoreProject(project, blobs.map((blob, i) => ({
+            ...project.levels[i], blob, url: URL.createObjectURL(blob)
+        })));
+    }).catch(err => {
+        document.notificationArea.error(`${data.name || `Project ${id}`} could not be opened`, err,
+                                        [{ label: 'Retry', callback: () => loadProject(id, data) }]);
+    });
+}
+
+
+// Resume a draft saved in a previous session. Drafts saved before projects had levels hold a
+// single image and the project payload.
+function resumeDraft(draft) {
+    mapId = draft.mapId;
+    draftId = draft.id;
+    const project = draft.project.levels === undefined ? parseProject(draft.project) : draft.project;
+    const images = draft.images ?? [draft.image];
+    restoreProject(project, project.levels.map((level, i) => ({
+        ...level, blob: images[i], url: URL.createObjectURL(images[i])
+    })));
+}
+
+
+// List the unfinished drafts in the intro modal
+function listUnfinishedDrafts(container) {
+    listDrafts().then(drafts => {
+        if (drafts.length === 0)
+            return;
+        modal.classList.add('with-drafts');
+        const list = container.appendElement({ tag: 'div', className: 'draft-list' });
+        list.appendElement({ tag: 'div', className: 'subtitle', content: 'Unfinished drafts' });
+        for (const draft of drafts) {
+            const item = list.appendElement({ tag: 'div', className: 'draft' });
+            const [,, resumeBtn, discardBtn] = item.appendElements(
+                { tag: 'span', className: 'name', content: draft.project.name || 'Untitled project' },
+                { tag: 'span', className: 'date', content: new Date(draft.updated).toLocaleString() },
+                { tag: 'button', content: 'Resume' },
+                { tag: 'button', content: 'Discard' }
+            );
+            resumeBtn.addEventListener('click', () => resumeDraft(draft));
+            discardBtn.addEventListener('click', () => {
+                deleteDraft(draft.id).then(() => {
+                    item.remove();
+                    if (list.querySelector('.draft') === null) {
+                        list.remove();
+                        modal.classList.remove('with-drafts');
+                    }
+                }).catch(err => document.notificationArea.error('The draft could not be discarded', err));
+            });
+        }
+    }).catch(err => document.notificationArea.error('The unfinished drafts could not be listed', err));
+}
+
+
+// Show the existing projects in the intro modal, to open, rename or delete them
+function listProjects() {
+    modal.classList.remove('with-drafts');
+    modal.classList.add('large');
+    modal.querySelector('.title').textContent = 'Existing projects';
+    const content = modal.querySelector('.content');
+    content.replaceChildren();
+    const [manager, backBtn] = content.appendElements(
+        'project-manager',
+        { tag: 'button', className: 'previous', content: 'Back' }
+    );
+    manager.addEventListener('projectopen', e => loadProject(e.detail.id, e.detail.data));
+    manager.addEventListener('projectdelete', e => worldMap.excludeMap(e.detail.id));
+    backBtn.addEventListener('click', () => {
+        modal.remove();
+        deleteApp();
+    });
+}
+
+
+// Close the intro modal
+function closeModal() {
     modal.remove();
     document.body.classList.remove('modal-open');
 }
@@ -206,18 +812,47 @@ function openModal() {
     modal.appendElement({ tag: 'div', className: 'title', content: 'Project selection' });
     const content = E('div', 'content center');
     const [input,] = content.appendElements(
-        { tag: 'input', attributes: { id: 'floorplan-input', type: 'file', accept: ALLOWED_MIME.join() } },
+        { tag: 'input', attributes: { id: 'floorplan-input', type: 'file', accept: acceptedFiles() } },
         { tag: 'label', attributes: { for_: 'floorplan-input' }, content: 'Create a new project' }
     );
     input.addEventListener('change', loadFloorplan);
     content.appendChild(document.createTextNode(' or '));
-    content.appendElement({ tag: 'button', attributes: { disabled: '' }, content: 'Open an existing project' });
+    const openBtn = content.appendElement({ tag: 'button', content: 'Existing projects' });
+    openBtn.addEventListener('click', listProjects);
+    listUnfinishedDrafts(content);
     modal.appendChild(content);
     document.body.appendChild(modal);
     document.body.classList.add('modal-open');
 }
 
-fetch('/config.json').then(r => r.json().then(data => {
-    window.apiURL = data.api;
-    openModal();
-}));
+// Show why the configuration could not be loaded, in place of the application
+function showConfigError(err) {
+    const screen = E('div', 'modal config-error');
+    screen.appendElement({ tag: 'div', className: 'title', content: 'Configuration error' });
+    const content = screen.appendElement({ tag: 'div', className: 'content' });
+    content.appendElement({ tag: 'p', content: err.message });
+    const list = content.appendElement({ tag: 'ul' });
+    for (const problem of err.problems ?? []) {
+        // Setting paths are quoted with backticks
+        const item = list.appendElement('li');
+        problem.split('`').forEach((part, i) => {
+            item.appendChild(i % 2 === 1 ? E('code', null, null, part) : document.createTextNode(part));
+        });
+    }
+    content.appendElement({ tag: 'p', content: 'Please fix config.json and reload the page.' });
+    document.body.appendChild(screen);
+    document.body.classList.add('modal-open');
+}
+
+// The login popup only hands the authorization response back to the application
+if (!handleLoginRedirect()) {
+    loadConfig().then(config => {
+        window.apiURL = config.api;
+        configureAuth(config.auth);
+        defineProjections(config.projections);
+        defineMaterials(config.materials);
+        registerTileCache();
+        document.body.appendChild(E('notification-area'));
+        openModal();
+    }, showConfigError);
+}
@@ -0,0 +1,257 @@
+// This module authenticates the OpMode against the 0WM Server. The method is set in the `auth`
+// section of `config.json`: either a bearer token entered by the user, or an OpenID Connect login
+// using the authorization code flow with PKCE. Tokens are kept for the browser session only.
+//
+// OpenID Connect logins happen in a popup window, so that logging in again when the session expires
+// does not reload the application and lose the project being edited.
+
+import { createElement as E } from '/js/util.mjs';
+
+
+const STORAGE_KEY = 'opmode-auth';
+const MESSAGE_TYPE = 'opmode-login';         // Type of the messages sent by the login popup
+const POPUP_FEATURES = 'width=500,height=650';
+const POPUP_POLL_DELAY = 500;                // Delay between checks of the login popup state, in ms
+const EXPIRY_MARGIN = 30_000;                // Tokens are renewed this long before they expire, in ms
+
+let config = null;
+let discovery = null; // OpenID provider metadata, fetched once
+let renewal = null;   // Token refresh or login in progress, shared by concurrent requests
+
+
+// Set the authentication settings. Authentication is disabled if there are none.
+export function configureAuth(settings) {
+    config = settings ?? null;
+}
+
+
+// Check whether the server requires authentication
+export function authEnabled() {
+    return config !== null;
+}
+
+
+// Read the tokens of the session
+function loadTokens() {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+}
+
+// Store the tokens of the session
+function storeTokens(tokens) {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(tokens));
+}
+
+// Store the tokens returned by an OpenID provider, keeping the previous refresh token if the
+// provider did not issue a new one
+function storeTokenResponse(response, previous = null) {
+    const tokens = {
+        access: response.access_token,
+        refresh: response.refresh_token ?? previous?.refresh ?? null,
+        expires: response.expires_in === undefined ? null : Date.now() + 1000 * response.expires_in
+    };
+    storeTokens(tokens);
+    return tokens.access;
+}
+
+
+// Run a single token renewal at a time
+function renew(fn) {
+    renewal ??= fn().finally(() => renewal = null);
+    return renewal;
+}
+
+
+// Get the access token of the session, renewing it if it expired, or logging in if there is none.
+// Resolve to null if authentication is disabled.
+export function accessToken() {
+    if (config === null)
+        return Promise.resolve(null);
+    if (renewal !== null)
+        return renewal;
+    const tokens = loadTokens();
+    if (tokens === null)
+        return renew(() => login(false));
+    if (tokens.expires !== null && tokens.expires - EXPIRY_MARGIN < Date.now())
+        return renew(() => refresh(tokens).catch(() => login(true)));
+    return Promise.resolve(tokens.access);
+}
+
+
+// Renew the access token after the server rejected it, logging in again if it cannot be refreshed
+export function reauthenticate() {
+    return renew(() => refresh(loadTokens()).catch(() => login(true)));
+}
+
+
+// Fetch the metadata of the OpenID provider
+function discover() {
+    discovery ??= fetch(`${config.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`)
+        .then(response => {
+            if (!response.ok)
+                throw new Error(`The identity provider could not be reached (${response.status})`);
+            return response.json();
+        }).catch(err => {
+            discovery = null;
+            throw err;
+        });
+    return discovery;
+}
+
+// Send a request to the token endpoint of the OpenID provider
+function tokenRequest(params) {
+    return discover().then(metadata => fetch(metadata.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ client_id: config.clientId, ...params })
+    })).then(response => {
+        if (response.ok)
+            return response.json();
+        // Error bodies are OAuth errors, unless a proxy answered in place of the provider
+        return response.json().catch(() => ({})).then(data => {
+            throw new Error(data?.error_description ?? data?.error ?? `Login failed (${response.status})`);
+        });
+    });
+}
+
+// Get a new access token from a refresh token
+function refresh(tokens) {
+    if (config.type !== 'oidc' || !tokens?.refresh)
+        return Promise.reject(new Error('The session cannot be refreshed'));
+    return tokenRequest({ grant_type: 'refresh_token', refresh_token: tokens.refresh })
+        .then(response => storeTokenResponse(response, tokens));
+}
+
+
+// Encode bytes in base64url, without padding
+function base64url(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+        .replaceAll('+', '-').replaceAll('/', '_').replace(/=+$/, '');
+}
+
+// Get the URL the OpenID provider redirects to after a login
+function redirectURI() {
+    return config.redirectUri ?? `${location.origin}/`;
+}
+
+// Log in with the OpenID provider in a popup window. Resolve to the access token.
+function loginWithProvider() {
+    const verifier = base64url(crypto.getRandomValues(new Uint8Array(32)));
+    const state = base64url(crypto.getRandomValues(new Uint8Array(16)));
+    const popup = window.open('', 'opmode-login', POPUP_FEATURES);
+    if (popup === null)
+        return Promise.reject(new Error('The login window was blocked. Please allow popups for this site.'));
+
+    const digest = crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return Promise.all([discover(), digest]).then(([metadata, challenge]) => {
+        const url = new URL(metadata.authorization_endpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: config.clientId,
+            redirect_uri: redirectURI(),
+            scope: config.scope ?? 'openid',
+            state,
+            code_challenge: base64url(challenge),
+            code_challenge_method: 'S256'
+        });
+        popup.location = url.href;
+
+        // Wait for the popup to send back the authorization code
+        return new Promise((resolve, reject) => {
+            const poll = setInterval(() => {
+                if (popup.closed)
+                    done(new Error('The login window was closed'));
+            }, POPUP_POLL_DELAY);
+            const listener = e => {
+                if (e.origin !== location.origin || e.data?.type !== MESSAGE_TYPE)
+                    return;
+                const params = new URLSearchParams(e.data.search);
+                if (params.get('state') !== state)
+                    done(new Error('Invalid login response'));
+                else if (params.has('error'))
+                    done(new Error(params.get('error_description') ?? params.get('error')));
+                else
+                    done(null, params.get('code'));
+            };
+            const done = (err, code) => {
+                clearInterval(poll);
+                window.removeEventListener('message', listener);
+                popup.close();
+                if (err !== null)
+                    reject(err);
+                else
+                    resolve(code);
+            };
+            window.addEventListener('message', listener);
+        });
+    }).catch(err => {
+        popup.close();
+        throw err;
+    }).then(code => tokenRequest({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectURI(),
+        code_verifier: verifier
+    })).then(response => storeTokenResponse(response));
+}
+
+
+// Ask the user to log in, in a dialog above the application. Resolve to the access token, or
+// reject if the user cancels.
+function login(expired) {
+    sessionStorage.removeItem(STORAGE_KEY);
+    const dialog = E('dialog', 'login');
+    dialog.appendElement({ tag: 'div', className: 'title', content: expired ? 'Session expired' : 'Log in' });
+    const content = dialog.appendElement({ tag: 'form', className: 'content' });
+    content.appendElement({ tag: 'p', content: expired ? 'Please log in again to continue. Your work is kept.'
+                                                       : 'The 0WM Server requires you to log in.' });
+    const input = config.type === 'oidc' ? null :
+        content.appendElement({ tag: 'input', attributes: { type: 'password', required: 'required',
+                                                            autocomplete: 'off', placeholder: 'Access token' } });
+    const [error, cancelBtn, loginBtn] = content.appendElements(
+        { tag: 'p', className: 'error hidden' },
+        { tag: 'button', attributes: { type: 'button' }, content: 'Cancel' },
+        { tag: 'button', attributes: { type: 'submit' }, content: 'Log in' }
+    );
+    document.body.appendChild(dialog);
+    dialog.showModal();
+
+    return new Promise((resolve, reject) => {
+        const close = () => dialog.remove();
+        cancelBtn.addEventListener('click', () => {
+            close();
+            reject(new Error('Login cancelled'));
+        });
+        dialog.addEventListener('cancel', e => e.preventDefault());
+        content.addEventListener('submit', e => {
+            e.preventDefault();
+            if (input !== null) {
+                storeTokens({ access: input.value.trim(), refresh: null, expires: null });
+                close();
+                resolve(input.value.trim());
+                return;
+            }
+            loginBtn.disabled = true;
+            error.classList.add('hidden');
+            loginWithProvider().then(token => {
+                close();
+                resolve(token);
+            }).catch(err => {
+                error.textContent = err.message;
+                error.classList.remove('hidden');
+                loginBtn.disabled = false;
+            });
+        });
+    });
+}
+
+
+// Complete a login if this window is the login popup, by sending the authorization response back
+// to the application. Return whether this window is the login popup.
+export function handleLoginRedirect() {
+    const params = new URLSearchParams(location.search);
+    if (window.opener === null || !params.has('state') || !(params.has('code') || params.has('error')))
+        return false;
+    window.opener.postMessage({ type: MESSAGE_TYPE, search: location.search }, location.origin);
+    window.close();
+    return true;
+}
@@ -0,0 +1,172 @@
+// This module reads georeferenced images, such as drone orthophotos, to show them as map backdrops.
+// GeoTIFF files carry their georeferencing in their tags, while other raster images come along
+// with a world file, and optionally a projection file. Images are decoded in the browser and never
+// leave it.
+
+import '/js/geotiff.js';
+import { isKnownProjection, toLngLat } from '/js/projections.mjs';
+
+
+const MAX_SIZE = 4096;           // Largest side of decoded GeoTIFF images, in px
+const USER_DEFINED = 32767;      // GeoKey value of user-defined systems
+const PIXEL_IS_POINT = 2;        // GTRasterTypeGeoKey value of point pixels
+const TIFF_EXTENSIONS = ['tif', 'tiff'];
+const RASTER_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp'];
+const WORLD_FILE_EXTENSIONS = ['wld', 'pgw', 'pngw', 'jgw', 'jpgw', 'jpegw', 'wlw', 'webpw'];
+
+// Extensions accepted by the backdrop file input
+export const BACKDROP_FILES = [...TIFF_EXTENSIONS, ...RASTER_EXTENSIONS, ...WORLD_FILE_EXTENSIONS, 'prj']
+    .map(e => `.${e}`).join();
+
+
+// Get the extension of a file name, in lower case
+function extension(file) {
+    return file.name.split('.').pop().toLowerCase();
+}
+
+// Get the name of a file, without its extension
+function baseName(file) {
+    return file.name.slice(0, file.name.lastIndexOf('.'));
+}
+
+
+// Compute the corners of an image in its coordinate system, in the top-left, top-right,
+// bottom-right, bottom-left order, from the affine transformation of its pixel coordinates
+function imageCorners(affine, width, height) {
+    return [[0, 0], [width, 0], [width, height], [0, height]].map(([i, j]) => affine(i, j));
+}
+
+// Convert the corners of an image to WGS84, as [latitude, longitude] pairs
+function toLatLngs(crs, corners) {
+    return corners.map(([x, y]) => {
+        const [lng, lat] = toLngLat(crs, x, y);
+        return [lat, lng];
+    });
+}
+
+
+// Get the coordinate reference system of a GeoTIFF image from its GeoKeys, or null if it is unknown
+function geoTIFFSystem(geoKeys) {
+    const code = geoKeys?.ProjectedCSTypeGeoKey ?? geoKeys?.GeographicTypeGeoKey;
+    if (code === undefined || code === USER_DEFINED)
+        return null;
+    return `EPSG:${code}`;
+}
+
+// Get the affine transformation mapping pixel corners to the model coordinates of a GeoTIFF image.
+// Point pixels are georeferenced by their centre rather than their top-left corner.
+function geoTIFFAffine(image) {
+    const directory = image.fileDirectory;
+    const offset = image.getGeoKeys()?.GTRasterTypeGeoKey === PIXEL_IS_POINT ? .5 : 0;
+    const m = directory.getValue('ModelTransformation');
+    if (m) {
+        return (i, j) => [m[0] * (i - offset) + m[1] * (j - offset) + m[3],
+                          m[4] * (i - offset) + m[5] * (j - offset) + m[7]];
+    }
+    const tiepoint = directory.getValue('ModelTiepoint');
+    const scale = directory.getValue('ModelPixelScale');
+    if (!tiepoint || !scale)
+        throw new Error('The GeoTIFF file has no georeferencing');
+    const [I, J,, X, Y] = tiepoint;
+    return (i, j) => [X + (i - offset - I) * scale[0], Y - (j - offset - J) * scale[1]];
+}
+
+// Decode a GeoTIFF image into a PNG image no larger than the maximum size, reading its smallest
+// overview which is large enough
+function decodeGeoTIFF(tiff, image) {
+    const scale = Math.min(1, MAX_SIZE / Math.max(image.getWidth(), image.getHeight()));
+    const width = Math.round(image.getWidth() * scale);
+    const height = Math.round(image.getHeight() * scale);
+    return tiff.getImageCount().then(count => {
+        return Promise.all(Array.from({ length: count }, (_, i) => tiff.getImage(i)));
+    }).then(images => {
+        // Masks are stored as reduced-resolution images as well, with a dedicated subfile type bit
+        const overview = images.filter(e => (e.fileDirectory.getValue('NewSubfileType') & 4) === 0 &&
+                                            e.getWidth() >= width)
+                               .reduce((best, e) => e.getWidth() < best.getWidth() ? e : best, image);
+        return overview.readRGB({ width, height, interleave: true, enableAlpha: true });
+    }).then(raster => {
+        const channels = raster.length / (width * height);
+        const pixels = new ImageData(width, height);
+        for (let p = 0; p < width * height; p++) {
+            pixels.data[4 * p] = raster[channels * p];
+            pixels.data[4 * p + 1] = raster[channels * p + 1];
+            pixels.data[4 * p + 2] = raster[channels * p + 2];
+            pixels.data[4 * p + 3] = channels > 3 ? raster[channels * p + 3] : 255;
+        }
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').putImageData(pixels, 0, 0);
+        return canvas.convertToBlob({ type: 'image/png' });
+    });
+}
+
+// Read a GeoTIFF backdrop. The system is asked to the user if the file does not define it.
+function readGeoTIFF(file, askSystem) {
+    return GeoTIFF.fromBlob(file).then(tiff => tiff.getImage().then(image => {
+        const corners = imageCorners(geoTIFFAffine(image), image.getWidth(), image.getHeight());
+        const crs = geoTIFFSystem(image.getGeoKeys());
+        const system = crs !== null && isKnownProjection(crs) ? crs : askSystem(crs);
+        if (system === null)
+            return null;
+        return decodeGeoTIFF(tiff, image).then(blob => ({
+            name: file.name,
+            url: URL.createObjectURL(blob),
+            corners: toLatLngs(system, corners)
+        }));
+    }));
+}
+
+
+// Parse a world file into the affine transformation mapping pixel corners to model coordinates.
+// World files georeference the centre of the top-left pixel.
+function parseWorldFile(text) {
+    const values = text.trim().split(/\s+/).map(parseFloat);
+    if (values.length !== 6 || values.some(e => !Number.isFinite(e)))
+        throw new Error('Invalid world file');
+    const [a, d, b, e, c, f] = values;
+    return (i, j) => [a * (i - .5) + b * (j - .5) + c, d * (i - .5) + e * (j - .5) + f];
+}
+
+// Read a raster backdrop along with its world file, and its projection file if any. The system is
+// asked to the user if there is no projection file.
+function readWorldFileImage(image, worldFile, projectionFile, askSystem) {
+    return Promise.all([
+        worldFile.text(),
+        projectionFile?.text() ?? null,
+        createImageBitmap(image)
+    ]).then(([world, wkt, bitmap]) => {
+        const corners = imageCorners(parseWorldFile(world), bitmap.width, bitmap.height);
+        bitmap.close();
+        const system = wkt !== null && isKnownProjection(wkt.trim()) ? wkt.trim() : askSystem(null);
+        if (system === null)
+            return null;
+        return { name: image.name, url: URL.createObjectURL(image), corners: toLatLngs(system, corners) };
+    });
+}
+
+
+// Read a backdrop from the selected files: either a GeoTIFF file, or a raster image along with its
+// world file and optional projection file. The callback asks the user for the coordinate reference
+// system when the files do not define a known one; it receives the undefined system, if any, and
+// returns an EPSG code or null to cancel. The result is null if the user cancels, or the name,
+// object URL and corners of the backdrop, as [latitude, longitude] pairs in the top-left,
+// top-right, bottom-right, bottom-left order.
+export function readBackdrop(files, askSystem) {
+    files = [...files];
+    const tiff = files.find(e => TIFF_EXTENSIONS.includes(extension(e)));
+    if (tiff !== undefined)
+        return readGeoTIFF(tiff, askSystem);
+
+    const image = files.find(e => RASTER_EXTENSIONS.includes(extension(e)));
+    if (image === undefined)
+        return Promise.reject(new Error('Please select a GeoTIFF file, or an image along with its world file'));
+    // Companion files preferably share the name of the image
+    const sibling = extensions => {
+        const candidates = files.filter(e => extensions.includes(extension(e)));
+        return candidates.find(e => baseName(e) === baseName(image)) ?? candidates[0];
+    };
+    const worldFile = sibling(WORLD_FILE_EXTENSIONS);
+    if (worldFile === undefined)
+        return Promise.reject(new Error(`The world file of ${image.name} is missing. Please select both files.`));
+    return readWorldFileImage(image, worldFile, sibling(['prj']) ?? null, askSystem);
+}
@@ -0,0 +1,185 @@
+// This module reads the capabilities of WMS and WMTS services, to use their layers as map data
+// sources. Only layers available in Web Mercator can be shown by the world map: WMTS tile matrix sets
+// must match the Web Mercator zoom levels, and WMS layers must support EPSG:3857.
+
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+const SCALE_0 = 559082264.0287178;    // Scale denominator of Web Mercator at zoom 0, for 256 px tiles
+const WEB_MERCATOR = /EPSG:(\d*:)?(3857|900913)$/;
+const WMS_MAX_ZOOM = 20;              // WMS layers are rendered at any zoom
+
+
+// Get the child elements with the given local name, whatever their namespace
+function children(element, name) {
+    return [...element?.children ?? []].filter(e => e.localName === name);
+}
+
+// Get the first child element with the given local name
+function child(element, name) {
+    return children(element, name)[0] ?? null;
+}
+
+// Get the text of the first child element with the given local name
+function text(element, name) {
+    return child(element, name)?.textContent.trim() ?? '';
+}
+
+// Append query parameters to a URL, without encoding the template placeholders of the values
+function withQuery(url, params) {
+    const query = Object.entries(params).map(([k, v]) => `${k}=${v}`).join('&');
+    if (url.endsWith('?') || url.endsWith('&'))
+        return url + query;
+    return url + (url.includes('?') ? '&' : '?') + query;
+}
+
+
+// Get the zoom levels of a WMTS tile matrix set, as the prefix of the tile matrix identifiers
+// followed by the zoom level, e.g. `EPSG:3857:{z}`. Return null if the set does not match the Web
+// Mercator zoom levels.
+function webMercatorZooms(set) {
+    if (!WEB_MERCATOR.test(text(set, 'SupportedCRS')))
+        return null;
+    let prefix = null;
+    let maxZoom = 0;
+    for (const matrix of children(set, 'TileMatrix')) {
+        const exact = Math.log2(SCALE_0 / parseFloat(text(matrix, 'ScaleDenominator')));
+        const z = Math.round(exact);
+        const id = text(matrix, 'Identifier');
+        if (Math.abs(exact - z) > .01 || text(matrix, 'TileWidth') !== '256' || !id.endsWith(String(z)))
+            return null;
+        const matrixPrefix = id.slice(0, id.length - String(z).length);
+        if (prefix !== null && matrixPrefix !== prefix)
+            return null;
+        prefix = matrixPrefix;
+        maxZoom = Math.max(maxZoom, z);
+    }
+    return prefix === null ? null : { prefix, maxZoom };
+}
+
+
+// Parse the capabilities of a WMTS service
+function parseWMTS(root) {
+    const contents = child(root, 'Contents');
+    const matrixSets = {};
+    for (const set of children(contents, 'TileMatrixSet')) {
+        const zooms = webMercatorZooms(set);
+        if (zooms !== null)
+            matrixSets[text(set, 'Identifier')] = zooms;
+    }
+
+    // Key-value pair requests are only possible if the service describes its GetTile endpoint
+    const getTile = children(child(root, 'OperationsMetadata'), 'Operation')
+        .find(e => e.getAttribute('name') === 'GetTile');
+    const href = getTile?.getElementsByTagNameNS('*', 'Get')[0]?.getAttributeNS(XLINK_NS, 'href') ?? null;
+
+    const layers = children(contents, 'Layer').map(layer => {
+        const id = text(layer, 'Identifier');
+        const styles = children(layer, 'Style');
+        styles.sort((a, b) => (b.getAttribute('isDefault') === 'true') - (a.getAttribute('isDefault') === 'true'));
+        const resource = children(layer, 'ResourceURL').find(e => e.getAttribute('resourceType') === 'tile');
+        return {
+            id,
+            title: text(layer, 'Title') || id,
+            styles: styles.map(e => text(e, 'Identifier')),
+            formats: children(layer, 'Format').map(e => e.textContent.trim()),
+            matrixSets: children(layer, 'TileMatrixSetLink').map(e => text(e, 'TileMatrixSet'))
+                .filter(e => e in matrixSets),
+            template: resource?.getAttribute('template') ?? null
+        };
+    }).filter(e => e.matrixSets.length > 0 && (href !== null || e.template !== null));
+
+    return { service: 'WMTS', title: text(child(root, 'ServiceIdentification'), 'Title'), layers, matrixSets, href };
+}
+
+
+// Parse the capabilities of a WMS service. Layers inherit the projections and styles of their
+// parents.
+function parseWMS(root) {
+    const version = root.getAttribute('version') ?? '1.3.0';
+    const capability = child(root, 'Capability');
+    const getMap = child(child(capability, 'Request'), 'GetMap');
+    const href = getMap?.getElementsByTagNameNS('*', 'OnlineResource')[0]?.getAttributeNS(XLINK_NS, 'href');
+    if (!href)
+        throw new Error('The service does not describe its GetMap endpoint');
+    const formats = children(getMap, 'Format').map(e => e.textContent.trim());
+
+    const layers = [];
+    const visit = (layer, parentCRS, parentStyles) => {
+        const crs = [...parentCRS, ...[...children(layer, 'CRS'), ...children(layer, 'SRS')]
+            .flatMap(e => e.textContent.trim().split(/\s+/))];
+        const styles = [...parentStyles, ...children(layer, 'Style').map(e => text(e, 'Name'))];
+        const name = text(layer, 'Name');
+        const projection = crs.find(e => WEB_MERCATOR.test(e));
+        if (name !== '' && projection !== undefined)
+            layers.push({ id: name, title: text(layer, 'Title') || name, styles, formats, projection });
+        children(layer, 'Layer').forEach(e => visit(e, crs, styles));
+    };
+    children(capability, 'Layer').forEach(e => visit(e, [], []));
+
+    return { service: 'WMS', title: text(child(root, 'Service'), 'Title'), layers, version, href };
+}
+
+
+// Fetch and parse the capabilities of a WMS or WMTS service. Services which do not support Web
+// Mercator are reported as errors.
+export function readCapabilities(url) {
+    return fetch(url).then(response => {
+        if (!response.ok)
+            throw new Error(`The capabilities could not be loaded (${response.status})`);
+        return response.text();
+    }).then(xml => {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.querySelector('parsererror') !== null)
+            throw new Error('The capabilities are not valid XML');
+        const root = doc.documentElement;
+        let capabilities;
+        if (root.localName === 'Capabilities')
+            capabilities = parseWMTS(root);
+        else if (root.localName === 'WMS_Capabilities' || root.localName === 'WMT_MS_Capabilities')
+            capabilities = parseWMS(root);
+        else
+            throw new Error('This is neither a WMS nor a WMTS capabilities document');
+        if (capabilities.layers.length === 0)
+            throw new Error(`The ${capabilities.service} service has no layer available in Web Mercator`);
+        return capabilities;
+    });
+}
+
+
+// Build a data source from a layer of a service, with the given style, image format and, for
+// WMTS services, tile matrix set. The source is serializable, to be kept in the local settings.
+export function capabilitiesSource(capabilities, id, { style, format, matrixSet }) {
+    const layer = capabilities.layers.find(e => e.id === id);
+    const enc = encodeURIComponent;
+    const source = { name: layer.title, attribution: capabilities.title, wms: false };
+
+    if (capabilities.service === 'WMS') {
+        const version = capabilities.version;
+        source.wms = true;
+        source.maxZoom = WMS_MAX_ZOOM;
+        source.url = withQuery(capabilities.href, {
+            SERVICE: 'WMS', REQUEST: 'GetMap', VERSION: version, LAYERS: enc(id), STYLES: enc(style ?? ''),
+            FORMAT: enc(format), TRANSPARENT: 'FALSE', [version === '1.3.0' ? 'CRS' : 'SRS']: layer.projection,
+            WIDTH: 256, HEIGHT: 256, BBOX: '{bbox}'
+        });
+        return source;
+    }
+
+    const { prefix, maxZoom } = capabilities.matrixSets[matrixSet];
+    source.maxZoom = maxZoom;
+    // RESTful templates are used as is, unless they have dimensions other than the tile ones
+    const template = layer.template?.replace(/\{(TileMatrixSet|Style|TileMatrix|TileRow|TileCol)\}/gi, (_, key) => ({
+        tilematrixset: matrixSet, style: style ?? 'default', tilematrix: `${prefix}{z}`, tilerow: '{y}', tilecol: '{x}'
+    })[key.toLowerCase()]);
+    if (template !== undefined && template !== null && !/\{(?![xyz]\})/.test(template)) {
+        source.url = template;
+        return source;
+    }
+    if (capabilities.href === null)
+        throw new Error(`The ${layer.title} layer cannot be requested`);
+    source.url = withQuery(capabilities.href, {
+        SERVICE: 'WMTS', REQUEST: 'GetTile', VERSION: '1.0.0', LAYER: enc(id), STYLE: enc(style ?? 'default'),
+        FORMAT: enc(format), TILEMATRIXSET: enc(matrixSet), TILEMATRIX: `${enc(prefix)}{z}`,
+        TILEROW: '{y}', TILECOL: '{x}'
+    });
+    return source;
+}
@@ -1,17 +1,20 @@
-// This module provides the different map data sources available
+// This module provides the different map data sources available. Sources whose usage policy
+// forbids bulk downloads are flagged with `offline: false`.
 
 const OSM = {
     name: 'OpenStreetMap',
     layer: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
     attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-    maxZoom: 19
+    maxZoom: 19,
+    offline: false
 }
 
 const CARTODB = {
     name: 'CartoDB',
     layer: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png',
     attribution: '© <a href="http://cartodb.com/attributions">CartoDB</a>',
-    maxZoom: 20
+    maxZoom: 20,
+    offline: false
 }
 
 const IGN = {
@@ -29,3 +32,101 @@ const IGNSAT = {
 }
 
 export const LAYERS = { osm: OSM, cartodb: CARTODB, ign: IGN, ignsat: IGNSAT }
+
+const CUSTOM_SOURCES_KEY = 'opmode-custom-layers'; // Local storage key of the sources added by the user
+const MERCATOR_EXTENT = 20037508.342789244;        // Half the width of the Web Mercator plane, in m
+
+
+// Build the URL template of a WMTS layer, requested with key-value pairs in the Web Mercator tile
+// matrix set
+function wmtsTemplate(layer) {
+    const params = {
+        service: 'WMTS',
+        request: 'GetTile',
+        version: '1.0.0',
+        tilematrixset: layer.tileMatrixSet ?? 'PM',
+        layer: layer.layer,
+        format: layer.format ?? 'image/png',
+        style: layer.style ?? 'normal',
+        ...layer.params
+    };
+    const query = Object.entries(params).map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&');
+    const separator = layer.url.includes('?') ? '&' : '?';
+    return `${layer.url}${separator}${query}&tilematrix={z}&tilecol={x}&tilerow={y}`;
+}
+
+// Convert a tile layer of the configuration into a data source. Parameters are query parameters
+// of WMTS layers, and placeholders of XYZ URL templates, e.g. `{apikey}`.
+function configuredSource(id, layer) {
+    const wmts = layer.type === 'wmts';
+    return {
+        name: layer.name ?? id,
+        layer: wmts ? wmtsTemplate(layer) : layer.url,
+        attribution: layer.attribution ?? '',
+        maxZoom: layer.maxZoom ?? 19,
+        params: wmts ? {} : layer.params ?? {},
+        offline: layer.offline ?? true
+    };
+}
+
+
+// Compute the Web Mercator bounding box of a tile, for WMS requests
+function tileBBox({ x, y, z }) {
+    const size = 2 * MERCATOR_EXTENT / 2 ** z;
+    const minX = -MERCATOR_EXTENT + x * size;
+    const maxY = MERCATOR_EXTENT - y * size;
+    return [minX, maxY - size, minX + size, maxY].join();
+}
+
+// Convert a source kept in the local settings. WMS sources request the bounding box of each tile.
+function customSource(source) {
+    return {
+        name: source.name,
+        layer: source.url,
+        attribution: source.attribution,
+        maxZoom: source.maxZoom,
+        params: source.wms ? { bbox: tileBBox } : {}
+    };
+}
+
+// Read the sources added by the user
+function readCustomSources() {
+    return JSON.parse(localStorage.getItem(CUSTOM_SOURCES_KEY)) ?? {};
+}
+
+
+// Get the data sources available with the given map settings: the built-in ones, along with or
+// replaced by the configured ones, followed by the ones added by the user
+export function dataSources(settings) {
+    const configured = Object.fromEntries(Object.entries(settings.layers).map(([id, layer]) => {
+        return [id, configuredSource(id, layer)];
+    }));
+    const custom = Object.fromEntries(Object.entries(readCustomSources()).map(([id, source]) => {
+        return [id, customSource(source)];
+    }));
+    return { ...(settings.replaceLayers ? configured : { ...LAYERS, ...configured }), ...custom };
+}
+
+
+// Keep a source added by the user in the local settings. The source holds a URL template, and
+// whether it is a WMS layer. Return its identifier along with the data source.
+export function addCustomSource(source) {
+    const sources = readCustomSources();
+    const id = `custom-${crypto.randomUUID()}`;
+    sources[id] = source;
+    localStorage.setItem(CUSTOM_SOURCES_KEY, JSON.stringify(sources));
+    return [id, customSource(source)];
+}
+
+
+// Create the Leaflet tile layer of a data source
+export function createTileLayer(source) {
+    return L.tileLayer(source.layer, {
+        minZoom: 0,
+        maxZoom: 20,
+        tileSize: 256,
+        attribution: source.attribution,
+        maxNativeZoom: source.maxZoom,
+        ...source.params
+    });
+}
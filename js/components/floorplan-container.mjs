@@ -1,10 +1,14 @@
-// This module implements a floorplan viewer with 3-point georeferencing
+// This module implements a floorplan viewer with multi-point georeferencing
 
+import { anchorColor } from '/js/georef.mjs';
 import { Point2, Vector2 } from '/js/linalg.mjs';
 import { Statusable, Stylable } from '/js/mixins.mjs';
 import { createElement as E } from '/js/util.mjs';
 
 
+const DEFAULT_ANCHORS = 3; // Number of anchors of a new floorplan
+
+
 class FloorplanContainer extends Statusable(Stylable(HTMLElement)) {
     #anchorDrag;
     #anchorDrop;
@@ -14,6 +18,7 @@ class FloorplanContainer extends Statusable(Stylable(HTMLElement)) {
     #img;
     #offsetX;
     #offsetY;
+    #presetAnchors;
     #scale;
 
     constructor() {
@@ -26,12 +31,10 @@ class FloorplanContainer extends Statusable(Stylable(HTMLElement)) {
         this.#anchorDrop = this.#_anchorDrop.bind(this);
         this.#anchorMove = this.#_anchorMove.bind(this);
 
+        this.#presetAnchors = false;
         this.#anchors = [];
-        for (let i = 0; i < 3; i++) {
-            const anchor = this.appendToShadow(E('div', 'anchor'));
-            anchor.addEventListener('mousedown', this.#anchorDrag);
-            this.#anchors.push(anchor);
-        }
+        for (let i = 0; i < DEFAULT_ANCHORS; i++)
+            this.#createAnchor();
 
         this.addStylesheet('components/floorplan-container.css');
         this.#img.addEventListener('load', this.#imageLoad.bind(this));
@@ -39,6 +42,7 @@ class FloorplanContainer extends Statusable(Stylable(HTMLElement)) {
     }
 
     connectedCallback() {
+        document.getElementById('add-anchor').addEventListener('click', this.addAnchor.bind(this));
         document.getElementById('place').addEventListener('click', () => {
             this.setAttribute('status', 0);
             document.getElementById('unplace').disabled = false;
@@ -49,6 +53,54 @@ class FloorplanContainer extends Statusable(Stylable(HTMLElement)) {
         });
     }
 
+    // Create an anchor element
+    #createAnchor() {
+        const anchor = this.appendToShadow(E('div', 'anchor',
+                                             { title: 'Right-click to remove this anchor' }));
+        anchor.addEventListener('mousedown', this.#anchorDrag);
+        anchor.addEventListener('contextmenu', e => {
+            e.preventDefault();
+            this.removeAnchor(this.#anchors.indexOf(anchor));
+        });
+        this.#anchors.push(anchor);
+        this.#refreshAnchorLabels();
+        return anchor;
+    }
+
+    // Number and color the anchors according to their index
+    #refreshAnchorLabels() {
+        this.#anchors.forEach((anchor, i) => {
+            anchor.textContent = i + 1;
+            anchor.style.setProperty('--color', anchorColor(i));
+        });
+    }
+
+    // Add an anchor at the center of the floorplan
+    addAnchor() {
+        const anchor = this.#createAnchor();
+        anchor.style.setProperty('--left', `${Math.round(this.#img.naturalWidth / 2)}px`);
+        anchor.style.setProperty('--top', `${Math.round(this.#img.naturalHeight / 2)}px`);
+        document.worldMap.addAnchor(this.getAnchors().at(-1));
+        this.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    // Add anchors until there are at least the given number of them
+    ensureAnchors(count) {
+        while (this.#anchors.length < count)
+            this.addAnchor();
+    }
+
+    // Remove an anchor, as long as enough anchors remain to compute a transformation
+    removeAnchor(index) {
+        if (this.#anchors.length <= document.worldMap.minAnchors())
+            return;
+        this.#anchors.splice(index, 1)[0].remove();
+        this.#refreshAnchorLabels();
+        document.worldMap.removeAnchor(index);
+        this.dispatchEvent(new CustomEvent('anchorremove', { detail: index }));
+        this.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
     // Get the floorplan dimensions
     getDimensions() {
         return new Vector2(this.#img.naturalWidth, this.#img.naturalHeight);
@@ -63,6 +115,21 @@ class FloorplanContainer extends Statusable(Stylable(HTMLElement)) {
     // Handle image load events
     #imageLoad() {
         this.#resize();
+        if (this.#presetAnchors) {
+            this.#presetAnchors = false;
+        }
+        else {
+            this.#resetAnchors();
+            this.ensureAnchors(document.worldMap.minAnchors());
+        }
+        this.dispatchEvent(new Event('floorplanload'));
+    }
+
+    // Place the anchors at their default positions
+    #resetAnchors() {
+        while (this.#anchors.length > DEFAULT_ANCHORS)
+            this.#anchors.pop().remove();
+        this.#refreshAnchorLabels();
         const fiftyPx = `${50 * this.#scale}px`;
         const twoHundredPx = `${200 * this.#scale}px`;
         this.#anchors[0].style.setProperty('--left', fiftyPx);
@@ -101,6 +168,7 @@ class FloorplanContainer extends Statusable(Stylable(HTMLElement)) {
         this.#currentlyDragging = null;
         document.removeEventListener('mousemove', this.#anchorMove);
         document.removeEventListener('mouseup', this.#anchorDrop);
+        this.dispatchEvent(new Event('change', { bubbles: true }));
     }
 
     // Get the positioned anchors
@@ -109,6 +177,24 @@ class FloorplanContainer extends Statusable(Stylable(HTMLElement)) {
                                                  parseInt(e.style.getPropertyValue('--top'))));
     }
 
+    // Place the anchors at the given floorplan coordinates and mark the floorplan as placed. Preset
+    // anchors are kept when the floorplan image loads, instead of being reset; anchors set on an
+    // already loaded floorplan must not be preset.
+    setAnchors(points, preset = true) {
+        this.#presetAnchors = preset;
+        while (this.#anchors.length > points.length)
+            this.#anchors.pop().remove();
+        while (this.#anchors.length < points.length)
+            this.#createAnchor();
+        this.#refreshAnchorLabels();
+        points.forEach((p, i) => {
+            this.#anchors[i].style.setProperty('--left', `${p.x}px`);
+            this.#anchors[i].style.setProperty('--top', `${p.y}px`);
+        });
+        this.setAttribute('status', 0);
+        document.getElementById('unplace').disabled = false;
+    }
+
     static get observedAttributes() {
         return super.observedAttributes.concat(['src']);
     }
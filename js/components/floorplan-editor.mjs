@@ -1,14 +1,56 @@
 // This module implements a floorplan editor
 
-import { Angle2, Point2, Polygon2, Ray2, Segment2, Vector2 } from '/js/linalg.mjs';
+import { Angle2, Matrix2, Point2, Polygon2, Ray2, Segment2, Vector2 } from '/js/linalg.mjs';
 import { Statusable, Stylable } from '/js/mixins.mjs';
 import { createElement as E } from '/js/util.mjs';
 import { Context2D } from '/js/context2d.mjs';
+import { OPENING_TYPES, defaultProperties, getMaterial, knownMaterials, shapeEdges, shapePoints,
+         splitEdge } from '/js/materials.mjs';
+import { ROOM_CATEGORIES, isRoom, parseRoom, poleOfInaccessibility, polygonArea } from '/js/rooms.mjs';
+import { cancelDetection, detectWalls } from '/js/wall-detection.mjs';
 
 
 const LINE_WIDTH = 1;         // Default line width
 const HOVERED_LINE_WIDTH = 2; // Hovered line width
-const MAGNETISM = 8;          // Magic snapping constant
+const MAGNETISM = 8;          // Magic snapping constant, in screen pixels
+const WHEEL_ZOOM = 1.2;       // Zoom factor of a 100 px wheel scroll
+const WHEEL_LINE = 33;        // Height of a wheel scroll line, in px
+const MAX_PIXEL_SIZE = 16;    // Largest size of a floorplan pixel on screen, in px
+const MIN_FIT_RATIO = .25;    // Smallest zoom, relative to the one fitting the floorplan in the pane
+const SCALE_TOLERANCE = .05;  // Tolerated relative difference between calibrated and map scales
+const CALIBRATION_COLOR = '#06c';
+const SUGGESTION_COLOR = '#0a0';
+const SELECTION_COLOR = '#08f6';
+const WINDOW_COLOR = '#2ba6cb';
+const OPENING_WIDTH = 40;     // Width of new openings when the floorplan scale is unknown, in px
+const DEFAULT_SENSITIVITY = .5; // Default sensitivity of the wall detection
+const DETECTION_DELAY = 300;    // Delay before detecting walls again when the sensitivity changes, in ms
+
+
+// Check whether we are running on macOS
+function isMacOS() {
+    return navigator.userAgentData?.platform === 'macOS' || navigator.platform === 'MacIntel'
+           || navigator.userAgent.toLowerCase().includes('macintosh');
+}
+
+// Check whether a keyboard event targets the editor rather than a form field
+function isEditorKey(e) {
+    const target = e.composedPath()[0];
+    return !(target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement
+             || target instanceof HTMLSelectElement);
+}
+
+// Copy the points of a shape
+function copyPoints(shape) {
+    return shape.points.map(e => new Point2(e.x, e.y));
+}
+
+// Keep an opening within an edge of a given length, narrowing it if needed
+function fitOpening(opening, length) {
+    const width = Math.min(opening.width, length);
+    const half = length > 0 ? width / length / 2 : .5;
+    return { ...opening, width, position: Math.min(Math.max(opening.position, half), 1 - half) };
+}
 
 
 class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
@@ -16,45 +58,70 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
     #altPressed;
     #ctrlPressed;
     #shiftPressed;
+    #spacePressed;
     // Mouse interaction
     #cursor;
     #draggingAnchor;
+    #draggingOrigin;
     #draggingShape;
+    #draggingStart;
     #hoveredAnchor;
     #hoveredEdge;
     #hoveredEdgeProjection;
+    #hoveredOpening;
     #hoveredShape;
+    #hoveredSuggestion;
     #magnetism;
     #mouse;
+    #panning;
     #snapSource;
     // Viewport
     #canvas;
     #ctx;
     #img;
+    #offset;
     #revScale;
     #scale;
     // Miscellaneous
+    #calibration;
     #canClosePolygon;
     #currentShape;
+    #detection;
     #drawingMode;
     #hatchedPattern;
     #helpDiv;
+    #historyButtons;
+    #inspector;
     #kbdIndicators;
+    #poles;
+    #properties;
+    #redoStack;
+    #rooms;
+    #scaleWarning;
+    #selection;
     #shapes;
     #state;
     #statusModified;
+    #suggestions;
     #toolbar;
+    #undoStack;
 
     constructor() {
         super();
 
         document.floorplanEditor = this;
         this.#img = this.appendToShadow(E('img'));
-        this.#img.addEventListener('load', this.#updateViewport.bind(this));
-        window.addEventListener('resize', this.#updateViewport.bind(this));
+        this.#img.addEventListener('load', () => {
+            this.#resizeCanvas();
+            this.#zoomToFit();
+        });
+        window.addEventListener('resize', () => {
+            this.#resizeCanvas();
+            this.#updateView();
+        });
 
         this.#toolbar = this.appendToShadow(E('div', 'toolbar'));
-        for (const mode of ['polygon', 'line']) {
+        for (const mode of ['polygon', 'line', 'calibrate', 'inspect', 'opening']) {
             const div = E('div', 'button', { id: mode });
             if (mode === 'polygon')
                 div.classList.add('selected');
@@ -66,6 +133,18 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
             this.#toolbar.appendChild(div);
         }
 
+        this.#historyButtons = {};
+        for (const action of ['undo', 'redo']) {
+            const div = E('div', 'button disabled', { id: action });
+            div.addEventListener('click', () => action === 'undo' ? this.undo() : this.redo());
+            this.#toolbar.appendChild(div);
+            this.#historyButtons[action] = div;
+        }
+
+        const detectButton = E('div', 'button', { id: 'detect', title: 'Detect walls' });
+        detectButton.addEventListener('click', () => this.#detectWalls());
+        this.#toolbar.appendChild(detectButton);
+
 	this.#kbdIndicators = {};
         this.#helpDiv = E('div', 'button', { id: 'help' });
 
@@ -74,8 +153,7 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
                              esc: 'Escape key' }
 
         // On macOS, display platform-specific icons and use proper descriptions
-        if (navigator.userAgentData?.platform === 'macOS' || navigator.platform === 'MacIntel'
-            || navigator.userAgent.toLowerCase().includes('macintosh')) {
+        if (isMacOS()) {
             this.#helpDiv.classList.add('macos');
             indicators.ctrl = 'Command key';
             indicators.alt = 'Option key';
@@ -87,6 +165,10 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         );
         this.#toolbar.appendChild(this.#helpDiv);
 
+        this.#scaleWarning = this.appendToShadow(E('div', 'scale-warning hidden'));
+        this.#createDetectionPanel();
+        this.#createInspector();
+
         this.#canvas = this.appendToShadow(E('canvas', null, { width: 1, height: 1 }));
         this.#ctx = this.#canvas.getContext('2d');
         Object.setPrototypeOf(this.#ctx, Context2D.prototype);
@@ -95,9 +177,12 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         this.#shiftPressed = false;
         this.#ctrlPressed = false;
         this.#altPressed = false;
+        this.#spacePressed = false;
         this.#mouse = null;
+        this.#panning = null;
         this.#scale = 1;
         this.#revScale = 1;
+        this.#offset = new Vector2(0, 0);
         this.#magnetism = MAGNETISM;
         this.#statusModified = false;
 
@@ -106,9 +191,18 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         this.#canvas.addEventListener('pointerdown', this.#pointerDown.bind(this));
         this.#canvas.addEventListener('pointerup', this.#pointerUp.bind(this));
         this.#canvas.addEventListener('dblclick', this.#doubleClick.bind(this));
+        this.#canvas.addEventListener('wheel', this.#wheel.bind(this), { passive: false });
         document.addEventListener('keydown', this.#keyDown.bind(this));
         document.addEventListener('keyup', this.#updateKeys.bind(this));
         this.#shapes = [];
+        this.#poles = new WeakMap();
+        this.#properties = new WeakMap();
+        this.#rooms = new WeakMap();
+        this.#selection = null;
+        this.#suggestions = [];
+        this.#calibration = null;
+        this.#undoStack = [];
+        this.#redoStack = [];
 
         const patCanvas = E('canvas', null, { width: 8, height: 8 });
         const patCtx = patCanvas.getContext('2d');
@@ -163,6 +257,11 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         return this.#currentShape.at(-1).to(this.#cursor).norm() > this.#magnetism;
     }
 
+    #canMoveShape() {
+        return this.#state === 'default' && this.#altPressed && this.#hoveredShape !== null
+               && this.#hoveredAnchor === -1;
+    }
+
     #canSwapRefAnchor() {
         return this.#shiftPressed && this.#draggingShape instanceof Polygon2;
     }
@@ -188,12 +287,21 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
                 if (this.#hoveredAnchor !== -1) {
                     this.#setIndicatorHint('lmouse', 'Press: move anchor');
                 }
+                else if (this.#canMoveShape()) {
+                    this.#setIndicatorHint('lmouse', 'Press: move shape');
+                }
                 else if (this.#canInsertAnchor()) {
                     this.#setIndicatorHint('lmouse', 'Press: insert new anchor');
                 }
                 else if (this.#draggingShape !== null) {
                     this.#setIndicatorHint('lmouse', 'Move: move anchor');
                 }
+                else if (this.#hoveredSuggestion !== null) {
+                    this.#setIndicatorHint('lmouse', 'Press: accept suggestion');
+                }
+                else if (this.#hoveredOpening !== -1) {
+                    this.#setIndicatorHint('lmouse', 'Press: inspect opening');
+                }
                 else switch (this.#drawingMode) {
                     case 'line':
                         this.#setIndicatorHint('lmouse', 'Press: start drawing wall');
@@ -201,8 +309,26 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
                     case 'polygon':
                         this.#setIndicatorHint('lmouse', 'Press: start drawing boundary');
                         break;
+                    case 'calibrate':
+                        this.#setIndicatorHint('lmouse', 'Press: start measuring a known length');
+                        break;
+                    case 'inspect':
+                        if (this.#hoveredEdge !== null)
+                            this.#setIndicatorHint('lmouse', 'Press: inspect wall');
+                        else if (this.#hoveredShape instanceof Polygon2)
+                            this.#setIndicatorHint('lmouse', 'Press: inspect room');
+                        break;
+                    case 'opening':
+                        if (this.#hoveredEdge !== null)
+                            this.#setIndicatorHint('lmouse', 'Press: add door');
+                        else if (this.#hoveredShape instanceof Polygon2)
+                            this.#setIndicatorHint('lmouse', 'Press: inspect room');
+                        break;
+                }
+                if (this.#hoveredOpening !== -1) {
+                    this.#setIndicatorHint('rmouse', 'Click: remove opening');
                 }
-                if (this.#canPerformRightClick()) {
+                else if (this.#canPerformRightClick()) {
                     if (this.#canRemoveAnchor())
                         this.#setIndicatorHint('rmouse', 'Click: remove anchor');
                     else switch (this.#hoveredShape.constructor) {
@@ -214,13 +340,25 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
                             break;
                     }
                 }
+                else if (this.#hoveredSuggestion !== null) {
+                    this.#setIndicatorHint('rmouse', 'Click: reject suggestion');
+                }
                 if (this.#canSwitchToAnchorInsertion()) {
                     if (this.#ctrlPressed)
                         this.#setIndicatorHint('ctrl', 'Hold: stay in anchor insertion');
                     else
                         this.#setIndicatorHint('ctrl', 'Hold: switch to anchor insertion');
                 }
-                ['shift', 'alt', 'esc'].forEach(e => this.#disableIndicator(e));
+                if (this.#hoveredShape !== null && this.#hoveredAnchor === -1) {
+                    if (this.#altPressed)
+                        this.#setIndicatorHint('alt', 'Hold: stay in shape moving');
+                    else
+                        this.#setIndicatorHint('alt', 'Hold: switch to shape moving');
+                }
+                else {
+                    this.#disableIndicator('alt');
+                }
+                ['shift', 'esc'].forEach(e => this.#disableIndicator(e));
                 break;
             case 'drawing':
                 let prefix;
@@ -233,6 +371,9 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
                         case 'line':
                             this.#setIndicatorHint('lmouse', `${prefix}: finish wall`);
                             break;
+                        case 'calibrate':
+                            this.#setIndicatorHint('lmouse', `${prefix}: finish measurement`);
+                            break;
                         case 'polygon':
                             if (this.#canClosePolygon)
                                 this.#setIndicatorHint('lmouse', `${prefix}: close boundary`);
@@ -248,7 +389,10 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
                 this.#setIndicatorHint('esc', 'Tap: cancel the current action');
                 break;
             case 'dragging':
-                this.#setIndicatorHint('lmouse', 'Move: move anchor');
+                if (this.#draggingAnchor === -1)
+                    this.#setIndicatorHint('lmouse', 'Move: move shape');
+                else
+                    this.#setIndicatorHint('lmouse', 'Move: move anchor');
                 this.#disableIndicator('rmouse');
                 this.#setIndicatorHint('shift', 'Hold: snap to 45° angles');
                 if (this.#hoveredEdge !== null)
@@ -262,6 +406,15 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
 
     // Handle pointerdown events
     #pointerDown(e) {
+        // Pressing the middle button, or the left button while holding the space bar, pans the view
+        if (e.button === 1 || (e.button === 0 && this.#spacePressed)) {
+            e.preventDefault();
+            this.#canvas.setPointerCapture(e.pointerId);
+            this.#panning = { start: new Point2(e.offsetX, e.offsetY), offset: this.#offset };
+            this.#redraw();
+            return;
+        }
+
         if (e.button === 0)
             this.#updateIndicator('lmouse', true);
         else
@@ -277,19 +430,45 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         if (this.#hoveredAnchor !== -1) {
             this.#draggingShape = this.#hoveredShape;
             this.#draggingAnchor = this.#hoveredAnchor;
+            this.#draggingOrigin = this.#shapeState(this.#draggingShape);
+        }
+        // Clicking a hovered shape while pressing ⎇ or ⌥ prepares the whole shape to be moved
+        else if (this.#canMoveShape()) {
+            this.#draggingShape = this.#hoveredShape;
+            this.#draggingAnchor = -1;
+            this.#draggingOrigin = this.#shapeState(this.#draggingShape);
+            this.#draggingStart = this.#cursor;
         }
         // Clicking a hovered edge while pressing ⎈ or ⌘ creates an anchor and prepares it to be
         // moved
         else if (this.#canInsertAnchor()) {
             const index = this.#hoveredEdge.p.index + 1;
-            this.#hoveredShape.insert(index, this.#hoveredEdgeProjection);
+            this.#draggingOrigin = this.#shapeState(this.#hoveredShape);
+            this.#insertAnchor(this.#hoveredShape, index, this.#hoveredEdgeProjection);
             this.#state = 'dragging';
             this.#draggingShape = this.#hoveredShape;
             this.#draggingAnchor = index;
         }
+        // Clicking a suggested shape accepts it, so that it can be edited like any other shape
+        else if (this.#hoveredSuggestion !== null) {
+            this.#acceptSuggestions([this.#hoveredSuggestion]);
+        }
+        // In inspection modes, clicking a wall or a boundary edge selects it, clicking inside a
+        // boundary selects it as a room, and clicking elsewhere clears the selection. In opening
+        // mode, a door is added where the edge is clicked, unless an opening is already there.
+        else if (this.#isInspecting()) {
+            if (this.#drawingMode === 'opening' && this.#hoveredEdge !== null && this.#hoveredOpening === -1)
+                this.#addOpening();
+            if (this.#hoveredEdge !== null)
+                this.#select({ shape: this.#hoveredShape, index: this.#hoveredEdgeIndex() });
+            else if (this.#hoveredShape instanceof Polygon2)
+                this.#select({ shape: this.#hoveredShape, index: null });
+            else
+                this.#select(null);
+        }
         // In every other case, create a new shape at the current uncorrected mouse position
         else {
-            this.#currentShape = [new Point2(e.offsetX, e.offsetY).scaled(this.#scale)];
+            this.#currentShape = [this.#toImage(new Point2(e.offsetX, e.offsetY))];
             this.#state = 'drawing';
         }
 
@@ -302,6 +481,16 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
 
     // Handle pointermove events
     #pointerMove(e) {
+        // While panning, the view follows the pointer and nothing else happens
+        if (this.#panning !== null) {
+            if (e instanceof MouseEvent) {
+                const { start, offset } = this.#panning;
+                this.#offset = new Vector2(offset.x + e.offsetX - start.x, offset.y + e.offsetY - start.y);
+                this.#updateView();
+            }
+            return;
+        }
+
         // Clear any hovered state
         this.#resetHoveredState();
 
@@ -317,14 +506,20 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
                 this.#helpDiv.classList.remove('discrete');
             this.#mouse = new Point2(e.offsetX, e.offsetY);
         }
-        this.#cursor = this.#mouse.scaled(this.#scale);
+        this.#cursor = this.#toImage(this.#mouse);
 
         // Snap the cursor depending on which modifier keys are pressed
         this.#snap();
 
         switch (this.#state) {
             case 'dragging':
-                this.#draggingShape.update(this.#draggingAnchor, this.#cursor);
+                if (this.#draggingAnchor === -1) {
+                    const delta = this.#draggingStart.to(this.#cursor);
+                    this.#draggingOrigin.points.forEach((p, i) => this.#draggingShape.update(i, p.plus(delta)));
+                }
+                else {
+                    this.#draggingShape.update(this.#draggingAnchor, this.#cursor);
+                }
                 break;
             case 'drawing':
                 // If we are not dragging an anchor, check for polygon closure
@@ -341,6 +536,13 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
 
     // Handle pointerup events
     #pointerUp(e) {
+        // Releasing any button stops panning
+        if (this.#panning !== null) {
+            this.#panning = null;
+            this.#pointerMove(e);
+            return;
+        }
+
         // Only handle regular clicks here
         if (e.button !== 0) {
             this.#updateIndicator('rmouse', false);
@@ -351,17 +553,21 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
 
         // If a shape is marked for dragging
         if (this.#draggingShape !== null) {
-            this.#resetDraggingState();
-
-            // If we are currently dragging it, stop the action
+            // If we are currently dragging it, stop the action and record it
             if (this.#state === 'dragging') {
+                this.#record(this.#reshapeCommand(this.#draggingShape, this.#draggingOrigin,
+                                                  this.#shapeState(this.#draggingShape)));
+                this.#resetDraggingState();
                 this.#state = 'default';
             }
             // If we are not currently dragging it (only clicking), create a new shape at the
-            // current uncorrected mouse position
+            // current uncorrected mouse position, unless there is nothing to draw
             else {
-                this.#currentShape = [new Point2(e.offsetX, e.offsetY).scaled(this.#scale)];
-                this.#state = 'drawing';
+                this.#resetDraggingState();
+                if (!this.#isInspecting()) {
+                    this.#currentShape = [this.#toImage(new Point2(e.offsetX, e.offsetY))];
+                    this.#state = 'drawing';
+                }
             }
         }
 
@@ -376,6 +582,13 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
                         this.#pushCurrentShape();
                     }
                     break;
+                // When measuring a known length, the same event finishes the measurement
+                case 'calibrate':
+                    if (this.#canPerformLeftClick()) {
+                        this.#currentShape.push(this.#cursor);
+                        this.#calibrate();
+                    }
+                    break;
                 // When drawing a polygon
                 case 'polygon':
                     // Clicking near the first anchor when we already have 3 anchors closes the
@@ -398,19 +611,34 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
     #rightClick(e) {
         e.preventDefault();
 
+        // Right-clicking an opening removes it
+        if (this.#state === 'default' && this.#hoveredOpening !== -1) {
+            this.#removeOpening(this.#hoveredShape, this.#hoveredEdgeIndex(), this.#hoveredOpening);
+            this.#recomputeAfterEvent();
+        }
         // The right click action only works in default mode on hovered shapes when no special
         // action is in progress
-        if (this.#state === 'default' && this.#canPerformRightClick()) {
+        else if (this.#state === 'default' && this.#canPerformRightClick()) {
             // If we are hovering a polygon anchor and it can be deleted, delete it
-            if (this.#canRemoveAnchor())
-                this.#hoveredShape.remove(this.#hoveredAnchor);
+            if (this.#canRemoveAnchor()) {
+                const before = this.#shapeState(this.#hoveredShape);
+                this.#removeAnchor(this.#hoveredShape, this.#hoveredAnchor);
+                this.#record(this.#reshapeCommand(this.#hoveredShape, before,
+                                                  this.#shapeState(this.#hoveredShape)));
+            }
             // Else, delete the whole shape
-            else
-                this.#shapes.splice(this.#shapes.indexOf(this.#hoveredShape), 1);
+            else {
+                this.#execute(this.#removeShapeCommand(this.#hoveredShape));
+            }
 
             // Recompute states
             this.#recomputeAfterEvent();
         }
+        // Right-clicking a suggested shape rejects it
+        else if (this.#state === 'default' && this.#hoveredSuggestion !== null) {
+            this.#suggestions.splice(this.#suggestions.indexOf(this.#hoveredSuggestion), 1);
+            this.#refreshSuggestions();
+        }
     }
 
     // Handle dblclick events
@@ -424,10 +652,22 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         }
     }
 
+    // Handle wheel events, zooming around the cursor
+    #wheel(e) {
+        e.preventDefault();
+        const delta = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? WHEEL_LINE * e.deltaY : e.deltaY;
+        this.#zoomAt(new Point2(e.offsetX, e.offsetY), this.#scale * WHEEL_ZOOM ** (delta / 100));
+        this.#pointerMove(e);
+    }
+
     // Handle keyup events and update currently pressed keys
     #updateKeys(e) {
         if (e.code === 'Escape')
             this.#kbdIndicators.esc.classList.remove('active');
+        if (e.code === 'Space') {
+            this.#spacePressed = false;
+            this.#redraw();
+        }
         this.#shiftPressed = e.shiftKey;
         this.#updateIndicator('shift', this.#shiftPressed);
         this.#ctrlPressed = e.ctrlKey || e.metaKey;
@@ -440,7 +680,32 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
 
     // Handle keydown events
     #keyDown(e) {
-        if (e.code === 'Escape') {
+        // History and view shortcuts are only handled when the editor is visible and no form field
+        // is focused
+        const shortcut = getComputedStyle(this).visibility === 'visible' && isEditorKey(e);
+        if (e.code === 'KeyZ' && (isMacOS() ? e.metaKey : e.ctrlKey) && shortcut) {
+            e.preventDefault();
+            if (e.shiftKey)
+                this.redo();
+            else
+                this.undo();
+        }
+        // Holding the space bar switches to panning, rather than scrolling the page
+        else if (e.code === 'Space' && shortcut) {
+            e.preventDefault();
+            if (!this.#spacePressed) {
+                this.#spacePressed = true;
+                this.#redraw();
+            }
+        }
+        else if ((e.code === 'Digit0' || e.code === 'Numpad0') && !e.ctrlKey && !e.metaKey && !e.altKey
+                 && shortcut) {
+            this.#zoomToFit();
+        }
+        else if (e.code === 'Escape') {
+            // Cancelling a drag restores the shape to its original state
+            if (this.#state === 'dragging')
+                this.#setShapeState(this.#draggingShape, this.#draggingOrigin);
             this.#setDrawingMode(this.#drawingMode);
             this.#kbdIndicators.esc.classList.add('active');
         }
@@ -449,25 +714,65 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         }
     }
 
-    // Update viewport scaling
-    #updateViewport() {
+    // Resize the canvas to the pane next to the toolbar
+    #resizeCanvas() {
         const ratio = window.devicePixelRatio || 1;
         const rect = this.getBoundingClientRect();
-        const toolbarWidth = this.#toolbar.getBoundingClientRect().width;
-        this.#scale = Math.max(this.#img.naturalWidth / (rect.width - toolbarWidth),
-                               this.#img.naturalHeight / rect.height);
-        this.#revScale = 1 / this.#scale;
-        this.#magnetism = MAGNETISM * this.#scale;
-        const width = this.#img.naturalWidth * this.#revScale;
-        const height = this.#img.naturalHeight * this.#revScale;
+        const width = rect.width - this.#toolbar.getBoundingClientRect().width;
         this.#canvas.width = width * ratio;
-        this.#canvas.height = height * ratio;
+        this.#canvas.height = rect.height * ratio;
         this.#canvas.style.width = `${width}px`;
-        this.#canvas.style.height = `${height}px`;
-        this.#ctx.scale(new Vector2(ratio, ratio));
+        this.#canvas.style.height = `${rect.height}px`;
+    }
+
+    // Get the size of the canvas, in screen pixels
+    #viewSize() {
+        const ratio = window.devicePixelRatio || 1;
+        return new Vector2(this.#canvas.width / ratio, this.#canvas.height / ratio);
+    }
+
+    // Get the scale at which the whole floorplan fits in the canvas
+    #fitScale() {
+        const size = this.#viewSize();
+        return Math.max(this.#img.naturalWidth / size.x, this.#img.naturalHeight / size.y) || 1;
+    }
+
+    // Apply the zoom and pan of the view to the floorplan image and to the canvas, and redraw.
+    // Snapping distances are scaled, so that they stay the same on screen at every zoom level.
+    #updateView() {
+        const ratio = window.devicePixelRatio || 1;
+        this.#revScale = 1 / this.#scale;
+        this.#magnetism = MAGNETISM * this.#scale;
+        this.#img.style.width = `${this.#img.naturalWidth * this.#revScale}px`;
+        this.#img.style.height = `${this.#img.naturalHeight * this.#revScale}px`;
+        this.#img.style.transform = `translate(${this.#offset.x}px, ${this.#offset.y}px)`;
+        this.#ctx.setTransform(new Matrix2(ratio, 0, 0, ratio),
+                               new Vector2(ratio * this.#offset.x, ratio * this.#offset.y));
         this.#redraw();
     }
 
+    // Zoom so that the whole floorplan fits in the canvas, and center it
+    #zoomToFit() {
+        const size = this.#viewSize();
+        this.#scale = this.#fitScale();
+        this.#offset = new Vector2((size.x - this.#img.naturalWidth / this.#scale) / 2,
+                                   (size.y - this.#img.naturalHeight / this.#scale) / 2);
+        this.#updateView();
+    }
+
+    // Zoom to the given scale, keeping the floorplan point below the given canvas point in place
+    #zoomAt(p, scale) {
+        const q = this.#toImage(p);
+        this.#scale = Math.min(Math.max(scale, 1 / MAX_PIXEL_SIZE), this.#fitScale() / MIN_FIT_RATIO);
+        this.#offset = new Vector2(p.x - q.x / this.#scale, p.y - q.y / this.#scale);
+        this.#updateView();
+    }
+
+    // Convert a canvas point, in screen pixels, into floorplan coordinates
+    #toImage(p) {
+        return new Point2((p.x - this.#offset.x) * this.#scale, (p.y - this.#offset.y) * this.#scale);
+    }
+
     // Snap the cursor depending on whether ⇧, ⎈/⌘, and ⎇/⌥ are pressed
     #snap() {
         // Snap to the current viewport;
@@ -482,7 +787,11 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
 
         // Snap to the closest 45-degree angle if ⇧ is pressed when dragging or drawing
         if (this.#shiftPressed && (this.#state === 'dragging' || this.#state === 'drawing')) {
-            if (this.#state === 'dragging') {
+            // When moving a whole shape, the ray source is where the shape was grabbed
+            if (this.#state === 'dragging' && this.#draggingAnchor === -1) {
+                this.#snapSource = this.#draggingStart;
+            }
+            else if (this.#state === 'dragging') {
                 switch (this.#draggingShape.constructor) {
                     // When dealing with closed polygons, the ray source is selected with ⎇/⌥
                     case Polygon2:
@@ -520,17 +829,26 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         if (this.#hoveredShape === null)
             this.#hoveredEdgeProjection = this.#snapToClosestEdge();
 
+        if (this.#drawingMode === 'opening' && this.#hoveredEdge !== null && this.#state === 'default')
+            this.#findHoverOpening();
+
+        // Suggested shapes are looked for before the inside of our shapes, which would hide them
+        if (this.#hoveredShape === null && this.#state === 'default')
+            this.#findHoverSuggestion();
+
         // If no edge shape is hovered, look inside our shapes
-        if (this.#hoveredShape === null)
+        if (this.#hoveredShape === null && this.#hoveredSuggestion === null)
             this.#findHoverShape();
     }
 
     // Reset the hovered state variables
     #resetHoveredState() {
         this.#hoveredShape = null;
+        this.#hoveredSuggestion = null;
         this.#hoveredEdge = null;
         this.#hoveredAnchor = -1;
         this.#hoveredEdgeProjection = null;
+        this.#hoveredOpening = -1;
         this.#snapSource = null;
     }
 
@@ -538,6 +856,8 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
     #resetDraggingState() {
         this.#draggingShape = null;
         this.#draggingAnchor = -1;
+        this.#draggingOrigin = null;
+        this.#draggingStart = null;
     }
 
     // Reset to default state
@@ -550,6 +870,9 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
     // Reset intermediary states and set the drawing mode
     #setDrawingMode(mode) {
         this.#drawingMode = mode;
+        if (!this.#isInspecting())
+            this.#selection = null;
+        this.#refreshInspector();
         this.#resetDefault();
         this.#resetHoveredState();
         this.#resetDraggingState();
@@ -565,7 +888,9 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
 
     // Draw one canvas frame
     #redraw() {
-        this.#ctx.clearRect(Point2.origin, new Vector2(this.#canvas.width, this.#canvas.height));
+        // The canvas origin is shifted by the pan of the view
+        this.#ctx.clearRect(new Point2(-this.#offset.x, -this.#offset.y),
+                            new Vector2(this.#canvas.width, this.#canvas.height));
         this.#statusModified = false;
 
         // Fill the polygon mask
@@ -577,12 +902,23 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         // Draw each shape
         for (const shape of this.#shapes)
             this.#drawShape(shape);
+        this.#drawSelection();
+        this.#shapes.filter(e => e instanceof Polygon2).forEach(e => this.#drawRoomLabel(e));
+        this.#suggestions.forEach(e => this.#drawSuggestion(e));
+
+        this.#drawCalibration();
+        this.#checkScale();
 
         switch (this.#state) {
             case 'drawing':
                 // Draw the current shape
                 if (this.#drawingMode === 'line') {
                     this.#drawLine(new Segment2(this.#currentShape[0], this.#cursor), true);
+                    this.#drawLength(new Segment2(this.#currentShape[0], this.#cursor));
+                }
+                else if (this.#drawingMode === 'calibrate') {
+                    this.#drawLine(new Segment2(this.#currentShape[0], this.#cursor), true,
+                                   CALIBRATION_COLOR);
                 }
                 else if (this.#drawingMode === 'polygon') {
                     this.#drawPolygon(new Polygon2(this.#currentShape, true));
@@ -591,6 +927,7 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
                     const c = this.#isInvalid(new Polygon2([...this.#currentShape, this.#cursor],
                                                            true)) ? '#f00' : '#000';
                     this.#drawLine(new Segment2(this.#currentShape.at(-1), this.#cursor), true, c);
+                    this.#drawLength(new Segment2(this.#currentShape.at(-1), this.#cursor));
                 }
                 if (this.#canClosePolygon) {
                     this.#setCursor('cell');
@@ -602,6 +939,7 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
                 break;
             case 'dragging':
                 this.#setCursor('grabbing');
+                this.#edges(this.#draggingShape).forEach(e => this.#drawLength(e));
                 break;
             case 'default':
                 if (this.#canInsertAnchor()) {
@@ -612,15 +950,32 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
                     this.#ctx.fillStyle = '#0828';
                     this.#ctx.fill();
                 }
+                else if (this.#canMoveShape()) {
+                    this.#setCursor('move');
+                }
+                else if (this.#hoveredSuggestion !== null || this.#hoveredOpening !== -1) {
+                    this.#setCursor('pointer');
+                }
+                else if (this.#hoveredAnchor !== -1) {
+                    this.#setCursor('grab');
+                }
+                else if (this.#drawingMode === 'opening' && this.#hoveredEdge !== null) {
+                    this.#setCursor('copy');
+                }
+                else if (this.#isInspecting()) {
+                    this.#setCursor(this.#hoveredShape === null ? 'default' : 'pointer');
+                }
                 else {
-                    if (this.#hoveredAnchor === -1)
-                        this.#setCursor('crosshair');
-                    else
-                        this.#setCursor('grab');
+                    this.#setCursor('crosshair');
                 }
                 break;
         }
 
+        if (this.#panning !== null)
+            this.#setCursor('grabbing');
+        else if (this.#spacePressed)
+            this.#setCursor('grab');
+
         if (!this.#statusModified)
             this.setAttribute('status', 0);
     }
@@ -646,10 +1001,10 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
             }
         }
 
-        // If at least one polygon was filled, inverse the fill with a rectangle
+        // If at least one polygon was filled, inverse the fill with the floorplan rectangle
         if (count > 0)
-            this.#ctx.rect(new Point2(-1, -1),
-                           new Vector2(this.#canvas.width + 2, this.#canvas.height + 2));
+            this.#ctx.rect(Point2.origin, new Vector2(this.#img.naturalWidth * this.#revScale,
+                                                      this.#img.naturalHeight * this.#revScale));
 
         this.#ctx.fillStyle = this.#hatchedPattern;
         this.#ctx.fill('evenodd');
@@ -658,32 +1013,34 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
     // Draw a shape on the canvas
     #drawShape(shape) {
         const currentlyHovered = shape === this.#hoveredShape;
+        // Edges are hovered on their own when inserting anchors or inspecting walls
+        const edgeHovered = currentlyHovered && this.#hoveredEdge !== null
+                            && (this.#ctrlPressed || this.#isInspecting());
+        const properties = this.#edgeProperties(shape);
         this.#ctx.lineWidth = LINE_WIDTH;
 
         // In default mode, if the whole shape is hovered, highlight it
         if (this.#state === 'default' && currentlyHovered && this.#hoveredAnchor === -1
-            && (!this.#ctrlPressed || this.#hoveredEdge === null || shape instanceof Segment2))
+            && (!edgeHovered || shape instanceof Segment2))
             this.#ctx.lineWidth = HOVERED_LINE_WIDTH;
 
-        switch (shape.constructor) {
-            case Segment2:
-                this.#drawLine(shape);
-                break;
-            case Polygon2:
-                this.#drawPolygon(shape);
-                break;
-        }
+        // Invalid polygons are drawn in red, and other edges are colour-coded by material
+        if (shape instanceof Polygon2 && this.#isInvalid(shape))
+            this.#drawPolygon(shape);
+        else
+            this.#edges(shape).forEach((e, i) => this.#drawEdge(e, properties[i]));
 
-        if (currentlyHovered && this.#ctrlPressed && this.#hoveredEdge !== null) {
-            this.#ctx.beginPath();
+        if (edgeHovered) {
             this.#ctx.lineWidth = HOVERED_LINE_WIDTH;
-            this.#ctx.line(this.#hoveredEdge.scaled(this.#revScale));
-            this.#ctx.stroke();
+            this.#drawEdge(this.#hoveredEdge, properties[this.#hoveredEdgeIndex()]);
         }
 
-        // In default mode, if the shape is hovered, show its anchors and highlight the current one
+        // In default mode, if the shape is hovered, show its edge lengths and anchors, and
+        // highlight the current anchor
         if (this.#state === 'default' && currentlyHovered) {
+            this.#edges(shape).forEach(e => this.#drawLength(e));
             this.#ctx.fillStyle = '#fff';
+            this.#ctx.strokeStyle = '#000';
             for (let i = 0; i < shape.points.length; i++) {
                 if (i === this.#hoveredAnchor)
                     this.#ctx.lineWidth = HOVERED_LINE_WIDTH;
@@ -710,6 +1067,120 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         this.#ctx.setLineDash([]);
     }
 
+    // Draw a suggested shape as a ghost, along with its edge lengths if it is hovered
+    #drawSuggestion(shape) {
+        const hovered = shape === this.#hoveredSuggestion;
+        this.#ctx.lineWidth = hovered ? HOVERED_LINE_WIDTH : LINE_WIDTH;
+        this.#ctx.beginPath();
+        if (shape instanceof Polygon2)
+            this.#ctx.polygon(shape.scaled(this.#revScale));
+        else
+            this.#ctx.line(shape.scaled(this.#revScale));
+        this.#ctx.setLineDash([4 * LINE_WIDTH, 4 * LINE_WIDTH]);
+        this.#ctx.strokeStyle = SUGGESTION_COLOR;
+        this.#ctx.stroke();
+        this.#ctx.setLineDash([]);
+        this.#ctx.lineWidth = LINE_WIDTH;
+        if (hovered)
+            this.#edges(shape).forEach(e => this.#drawLength(e, SUGGESTION_COLOR));
+    }
+
+    // Get the edges of a shape
+    #edges(shape) {
+        switch (shape.constructor) {
+            case Segment2:
+                return [shape];
+            case Polygon2:
+                return shape.edges();
+        }
+        return [];
+    }
+
+    // Draw the real-world length of an edge next to its middle, if the scale is known
+    #drawLength(edge, color='#000') {
+        const scale = this.getScale();
+        const [p1, p2] = edge.points;
+        const length = p1.to(p2).norm();
+        if (scale === null || length === 0)
+            return;
+        const text = `${(length / scale).toFixed(2)} m`;
+        const middle = new Point2((p1.x + p2.x) / 2, (p1.y + p2.y) / 2).scaled(this.#revScale);
+        this.#ctx.font = '11px sans-serif';
+        this.#ctx.textAlign = 'center';
+        this.#ctx.textBaseline = 'middle';
+        const width = this.#ctx.measureText(text).width + 6;
+        this.#ctx.fillStyle = '#fffc';
+        this.#ctx.fillRect(new Point2(middle.x - width / 2, middle.y - 8), new Vector2(width, 16));
+        this.#ctx.fillStyle = color;
+        this.#ctx.fillText(text, middle);
+    }
+
+    // Draw the calibration segment
+    #drawCalibration() {
+        if (this.#calibration === null)
+            return;
+        const { segment, length } = this.#calibration;
+        this.#ctx.lineWidth = HOVERED_LINE_WIDTH;
+        this.#drawLine(segment, false, CALIBRATION_COLOR);
+        this.#ctx.fillStyle = CALIBRATION_COLOR;
+        for (const p of segment.points) {
+            this.#ctx.beginPath();
+            this.#ctx.circle(p.scaled(this.#revScale), HOVERED_LINE_WIDTH);
+            this.#ctx.fill();
+        }
+        this.#ctx.lineWidth = LINE_WIDTH;
+        this.#drawLength(segment, CALIBRATION_COLOR);
+    }
+
+    // Ask for the real length of the measured segment and calibrate the floorplan scale
+    #calibrate() {
+        const segment = new Segment2(...this.#currentShape);
+        this.#resetDefault();
+        const answer = prompt('Real length of the measured segment, in meters:');
+        const length = parseFloat(answer?.replace(',', '.'));
+        if (!(length > 0))
+            return;
+        const before = this.#calibration;
+        const after = { segment, length };
+        this.#execute({
+            redo: () => this.#calibration = after,
+            undo: () => this.#calibration = before
+        });
+    }
+
+    // Get the pixel/meter scale given by the calibration, if any
+    #calibratedScale() {
+        if (this.#calibration === null)
+            return null;
+        const [p1, p2] = this.#calibration.segment.points;
+        return p1.to(p2).norm() / this.#calibration.length;
+    }
+
+    // Warn when the calibrated scale and the georeferenced scale disagree
+    #checkScale() {
+        const calibrated = this.#calibratedScale();
+        const georeferenced = document.worldMap?.getScale() ?? null;
+        this.#scaleWarning.classList.add('hidden');
+        if (calibrated === null || georeferenced === null)
+            return;
+        const difference = Math.abs(calibrated - georeferenced) / georeferenced;
+        if (difference <= SCALE_TOLERANCE)
+            return;
+        this.#scaleWarning.textContent = `The calibrated scale differs from the georeferenced `
+                                         + `scale by ${Math.round(100 * difference)}%`;
+        this.#scaleWarning.classList.remove('hidden');
+    }
+
+    // Get the pixel/meter scale, from the calibration if any, or else from the georeferencing
+    getScale() {
+        return this.#calibratedScale() ?? document.worldMap?.getScale() ?? null;
+    }
+
+    // Refresh the component
+    refresh() {
+        this.#redraw();
+    }
+
     // Check whether the given polygon leads to an invalid canvas geometry
     #isInvalid(p) {
         if (p.isSelfIntersecting())
@@ -739,6 +1210,91 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         this.#ctx.stroke();
     }
 
+    // Draw an edge in the colour of its material, interrupted by its openings. Doors are drawn as
+    // dashed lines across their gap, windows as thin lines, and open passages are left empty.
+    #drawEdge(edge, { material, openings }) {
+        const color = getMaterial(material).color;
+        const [p1, p2] = edge.points;
+        const at = t => new Point2(p1.x + t * (p2.x - p1.x), p1.y + t * (p2.y - p1.y));
+        const { solid, openings: gaps } = splitEdge(p1.to(p2).norm(), openings);
+        solid.forEach(([start, end]) => this.#drawLine(new Segment2(at(start), at(end)), false, color));
+        const lineWidth = this.#ctx.lineWidth;
+        this.#ctx.lineWidth = LINE_WIDTH;
+        for (const { type, start, end } of gaps) {
+            if (type === 'door')
+                this.#drawLine(new Segment2(at(start), at(end)), true, color);
+            else if (type === 'window')
+                this.#drawLine(new Segment2(at(start), at(end)), false, WINDOW_COLOR);
+        }
+        this.#ctx.lineWidth = lineWidth;
+    }
+
+    // Highlight the selected edge
+    #drawSelection() {
+        if (this.#selection === null)
+            return;
+        const { shape, index } = this.#selection;
+        this.#ctx.lineWidth = 4 * HOVERED_LINE_WIDTH;
+        if (index === null) {
+            this.#ctx.beginPath();
+            this.#ctx.polygon(shape.scaled(this.#revScale));
+            this.#ctx.strokeStyle = SELECTION_COLOR;
+            this.#ctx.stroke();
+        }
+        else {
+            this.#drawLine(this.#edges(shape)[index], false, SELECTION_COLOR);
+        }
+        this.#ctx.lineWidth = LINE_WIDTH;
+    }
+
+    // Draw the label of a room at the pole of inaccessibility of its polygon: its name, its
+    // category, and its area once the scale is known
+    #drawRoomLabel(shape) {
+        const room = this.#rooms.get(shape) ?? null;
+        if (!isRoom(room))
+            return;
+        const scale = this.getScale();
+        const lines = [
+            [room.name, 'bold 12px sans-serif'],
+            [ROOM_CATEGORIES[room.category] ?? '', '11px sans-serif'],
+            [scale === null ? '' : `${(polygonArea(shape.points) / scale ** 2).toFixed(2)} m²`, '11px sans-serif']
+        ].filter(([text]) => text !== '');
+        if (lines.length === 0)
+            return;
+
+        const pole = this.#roomPole(shape);
+        const center = new Point2(pole.x, pole.y).scaled(this.#revScale);
+        this.#ctx.textAlign = 'center';
+        this.#ctx.textBaseline = 'middle';
+        const width = Math.max(...lines.map(([text, font]) => {
+            this.#ctx.font = font;
+            return this.#ctx.measureText(text).width;
+        })) + 8;
+        const height = 14 * lines.length + 4;
+        const top = center.y - height / 2;
+        this.#ctx.fillStyle = '#fffc';
+        this.#ctx.fillRect(new Point2(center.x - width / 2, top), new Vector2(width, height));
+        this.#ctx.fillStyle = '#000';
+        lines.forEach(([text, font], i) => {
+            this.#ctx.font = font;
+            this.#ctx.fillText(text, new Point2(center.x, top + 9 + 14 * i));
+        });
+    }
+
+    // Get the label position of a room polygon, within a screen pixel but at least a floorplan
+    // pixel. Poles are cached per polygon until its points change, or a finer precision is needed
+    // after zooming in.
+    #roomPole(shape) {
+        const precision = Math.max(1, this.#scale);
+        const key = shape.points.map(p => `${p.x},${p.y}`).join(' ');
+        const cached = this.#poles.get(shape);
+        if (cached?.key === key && cached.precision <= precision)
+            return cached.pole;
+        const pole = poleOfInaccessibility(shape.points, precision);
+        this.#poles.set(shape, { key, precision, pole });
+        return pole;
+    }
+
     // Highlight the first polygon anchor
     #highlightFirstAnchor(p) {
         this.#ctx.fillStyle = '#ff0';
@@ -752,15 +1308,238 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
     #pushCurrentShape() {
         switch (this.#drawingMode) {
             case 'line':
-                this.#shapes.push(new Segment2(...this.#currentShape));
+                this.#execute(this.#addShapeCommand(new Segment2(...this.#currentShape)));
                 break;
             case 'polygon':
-                this.#shapes.push(new Polygon2(this.#currentShape));
+                this.#execute(this.#addShapeCommand(new Polygon2(this.#currentShape)));
                 break;
         }
         this.#resetDefault();
     }
 
+    // Create a command adding a shape
+    #addShapeCommand(shape) {
+        return {
+            redo: () => this.#shapes.push(shape),
+            undo: () => this.#shapes.splice(this.#shapes.indexOf(shape), 1)
+        };
+    }
+
+    // Create a command removing a shape
+    #removeShapeCommand(shape) {
+        const index = this.#shapes.indexOf(shape);
+        return {
+            redo: () => this.#shapes.splice(index, 1),
+            undo: () => this.#shapes.splice(index, 0, shape)
+        };
+    }
+
+    // Create a command changing the points of a shape, and the properties of its edges along with
+    // them
+    #reshapeCommand(shape, before, after) {
+        return {
+            redo: () => this.#setShapeState(shape, after),
+            undo: () => this.#setShapeState(shape, before),
+            noop: before.points.length === after.points.length
+                  && before.points.every((p, i) => p.x === after.points[i].x && p.y === after.points[i].y)
+        };
+    }
+
+    // Create a command changing the properties of an edge of a shape
+    #propertiesCommand(shape, index, after) {
+        const before = this.#edgeProperties(shape)[index];
+        return {
+            redo: () => this.#edgeProperties(shape)[index] = after,
+            undo: () => this.#edgeProperties(shape)[index] = before
+        };
+    }
+
+    // Create a command tagging a polygon as a room, or untagging it if the room is null
+    #roomCommand(shape, after) {
+        const before = this.#rooms.get(shape) ?? null;
+        const set = room => room === null ? this.#rooms.delete(shape) : this.#rooms.set(shape, room);
+        return {
+            redo: () => set(after),
+            undo: () => set(before)
+        };
+    }
+
+    // Get the properties of each edge of a shape, walls having a single edge. Shapes get default
+    // properties until they are edited.
+    #edgeProperties(shape) {
+        if (!this.#properties.has(shape))
+            this.#properties.set(shape, this.#edges(shape).map(() => defaultProperties()));
+        return this.#properties.get(shape);
+    }
+
+    // Copy the points of a shape and the properties of its edges
+    #shapeState(shape) {
+        return { points: copyPoints(shape), edges: this.#edgeProperties(shape).map(e => ({ ...e })) };
+    }
+
+    // Restore the points of a shape and the properties of its edges
+    #setShapeState(shape, { points, edges }) {
+        this.#setPoints(shape, points);
+        this.#properties.set(shape, edges.map(e => ({ ...e })));
+    }
+
+    // Insert an anchor into a polygon. Both halves of the split edge keep its properties, and each
+    // opening goes to the half its centre lies on, moved or narrowed to fit within it.
+    #insertAnchor(shape, index, p) {
+        const edges = this.#edgeProperties(shape);
+        const [p1, p2] = this.#edges(shape)[index - 1].points;
+        const length = p1.to(p2).norm();
+        const t = p1.to(p).norm() / length;
+        const { openings, ...properties } = edges[index - 1];
+        edges.splice(index - 1, 1, {
+            ...properties,
+            openings: openings.filter(e => e.position < t)
+                .map(e => fitOpening({ ...e, position: e.position / t }, t * length))
+        }, {
+            ...properties,
+            openings: openings.filter(e => e.position >= t)
+                .map(e => fitOpening({ ...e, position: (e.position - t) / (1 - t) }, (1 - t) * length))
+        });
+        shape.insert(index, p);
+    }
+
+    // Remove an anchor from a polygon. The merged edge keeps the properties of the edge ending at
+    // the anchor, and the openings of both edges, in proportion to their lengths.
+    #removeAnchor(shape, index) {
+        const edges = this.#edgeProperties(shape);
+        const previous = (index + edges.length - 1) % edges.length;
+        const [a, b] = [previous, index].map(i => this.#edges(shape)[i].points).map(([p1, p2]) => p1.to(p2).norm());
+        edges[previous] = { ...edges[previous], openings: [
+            ...edges[previous].openings.map(e => ({ ...e, position: e.position * a / (a + b) })),
+            ...edges[index].openings.map(e => ({ ...e, position: (a + e.position * b) / (a + b) }))
+        ] };
+        edges.splice(index, 1);
+        shape.remove(index);
+    }
+
+    // Get the index of the hovered edge in its shape
+    #hoveredEdgeIndex() {
+        return this.#hoveredShape instanceof Segment2 ? 0 : this.#hoveredEdge.p.index;
+    }
+
+    // Check whether walls are being inspected or edited, rather than drawn
+    #isInspecting() {
+        return this.#drawingMode === 'inspect' || this.#drawingMode === 'opening';
+    }
+
+    // Get the width of a new opening, in floorplan pixels
+    #openingWidth(type) {
+        const scale = this.getScale();
+        return scale === null ? OPENING_WIDTH : OPENING_TYPES[type].width * scale;
+    }
+
+    // Add a door to the hovered edge, centred on the hovered point
+    #addOpening() {
+        const [p1, p2] = this.#hoveredEdge.points;
+        const length = p1.to(p2).norm();
+        if (length === 0)
+            return;
+        const shape = this.#hoveredShape;
+        const index = this.#hoveredEdgeIndex();
+        const properties = this.#edgeProperties(shape)[index];
+        const opening = fitOpening({ type: 'door', width: this.#openingWidth('door'),
+                                     position: p1.to(this.#hoveredEdgeProjection).norm() / length }, length);
+        this.#execute(this.#propertiesCommand(shape, index, { ...properties,
+                                                              openings: [...properties.openings, opening] }));
+    }
+
+    // Remove an opening from an edge
+    #removeOpening(shape, index, opening) {
+        const properties = this.#edgeProperties(shape)[index];
+        this.#execute(this.#propertiesCommand(shape, index, {
+            ...properties,
+            openings: properties.openings.filter((e, i) => i !== opening)
+        }));
+    }
+
+    // Replace the points of a shape, inserting or removing anchors as needed
+    #setPoints(shape, points) {
+        points.forEach((p, i) => {
+            if (i < shape.points.length)
+                shape.update(i, new Point2(p.x, p.y));
+            else
+                shape.insert(i, new Point2(p.x, p.y));
+        });
+        while (shape.points.length > points.length)
+            shape.remove(points.length);
+    }
+
+    // Execute a command and record it in the history
+    #execute(command) {
+        command.redo();
+        this.#record(command);
+    }
+
+    // Record an already executed command in the history
+    #record(command) {
+        if (command.noop)
+            return;
+        this.#undoStack.push(command);
+        this.#redoStack = [];
+        this.#updateHistoryButtons();
+        this.#notifyChange();
+    }
+
+    // Notify listeners that the shapes changed
+    #notifyChange() {
+        this.#refreshInspector();
+        this.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    // Reset the command history
+    #clearHistory() {
+        this.#undoStack = [];
+        this.#redoStack = [];
+        this.#updateHistoryButtons();
+    }
+
+    // Enable or disable the history buttons depending on the history state
+    #updateHistoryButtons() {
+        this.#historyButtons.undo.classList.toggle('disabled', this.#undoStack.length === 0);
+        this.#historyButtons.redo.classList.toggle('disabled', this.#redoStack.length === 0);
+    }
+
+    // Move a command from one history stack to the other and recompute states
+    #replay(from, to, action) {
+        // Commands are only replayed when no other action is in progress
+        if (this.#state !== 'default' || from.length === 0)
+            return;
+        const command = from.pop();
+        command[action]();
+        to.push(command);
+        this.#updateHistoryButtons();
+        this.#notifyChange();
+        this.#recomputeAfterChange();
+    }
+
+    // Recompute states after a change which did not come from the pointer
+    #recomputeAfterChange() {
+        this.#resetHoveredState();
+        if (this.#mouse === null) {
+            this.#resetIndicatorHints();
+            this.#redraw();
+            this.#updateIndicatorHints();
+        }
+        else {
+            this.#pointerMove({});
+        }
+    }
+
+    // Undo the last command
+    undo() {
+        this.#replay(this.#undoStack, this.#redoStack, 'undo');
+    }
+
+    // Redo the last undone command
+    redo() {
+        this.#replay(this.#redoStack, this.#undoStack, 'redo');
+    }
+
     // Try to find the hovered anchor
     #findHoverAnchor() {
         this.#hoveredShape = null;
@@ -795,6 +1574,327 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         }
     }
 
+    // Try to find the hovered suggested shape, from its edges
+    #findHoverSuggestion() {
+        for (const shape of this.#suggestions) {
+            for (const edge of this.#edges(shape)) {
+                const projection = edge.project(this.#cursor, true);
+                if (projection !== null && this.#cursor.to(projection).norm() <= this.#magnetism) {
+                    this.#hoveredSuggestion = shape;
+                    return;
+                }
+            }
+        }
+    }
+
+    // Try to find the hovered opening, on the hovered edge
+    #findHoverOpening() {
+        const [p1, p2] = this.#hoveredEdge.points;
+        const length = p1.to(p2).norm();
+        const t = p1.to(this.#hoveredEdgeProjection).norm();
+        const { openings } = this.#edgeProperties(this.#hoveredShape)[this.#hoveredEdgeIndex()];
+        this.#hoveredOpening = openings.findIndex(e => Math.abs(e.position * length - t) <= e.width / 2);
+    }
+
+    // Create the panel of the wall detection, where suggestions can be accepted or rejected all at
+    // once, and the detection sensitivity can be tuned
+    #createDetectionPanel() {
+        const panel = this.appendToShadow(E('div', 'detection hidden'));
+        const [, sensitivityLabel, status, actions] = panel.appendElements(
+            { tag: 'div', className: 'title', content: 'Wall detection' },
+            { tag: 'label', content: 'Sensitivity' },
+            { tag: 'div', className: 'status' },
+            { tag: 'div', className: 'actions' }
+        );
+        const sensitivity = sensitivityLabel.appendElement({ tag: 'input', attributes: {
+            type: 'range', min: 0, max: 1, step: .05, value: DEFAULT_SENSITIVITY
+        } });
+        const [acceptButton, rejectButton, closeButton] = actions.appendElements(
+            { tag: 'button', content: 'Accept all' },
+            { tag: 'button', content: 'Reject all' },
+            { tag: 'button', content: 'Close' }
+        );
+        let timeout = null;
+        sensitivity.addEventListener('input', () => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => this.#detectWalls(), DETECTION_DELAY);
+        });
+        acceptButton.addEventListener('click', () => this.#acceptSuggestions([...this.#suggestions]));
+        rejectButton.addEventListener('click', () => {
+            this.#suggestions = [];
+            this.#refreshSuggestions();
+        });
+        closeButton.addEventListener('click', () => this.#closeDetection());
+        this.#detection = { panel, sensitivity, status, acceptButton, rejectButton };
+    }
+
+    // Detect the walls and the outer boundary of the floorplan, and suggest them in place of the
+    // previous suggestions
+    #detectWalls() {
+        if (!(this.#img.naturalWidth > 0))
+            return;
+        const { panel, sensitivity, status } = this.#detection;
+        panel.classList.remove('hidden');
+        status.classList.remove('error');
+        status.textContent = 'Detecting walls…';
+        detectWalls(this.#img, parseFloat(sensitivity.value)).then(({ walls, boundary }) => {
+            const toPoints = shape => shape.map(e => new Point2(e.x, e.y));
+            this.#suggestions = walls.map(e => new Segment2(...toPoints(e)));
+            if (boundary !== null)
+                this.#suggestions.unshift(new Polygon2(toPoints(boundary)));
+            this.#refreshSuggestions();
+        }).catch(err => {
+            if (err.name === 'AbortError')
+                return;
+            status.textContent = err.message;
+            status.classList.add('error');
+        });
+    }
+
+    // Update the detection panel and the canvas after the suggestions changed
+    #refreshSuggestions() {
+        const { status, acceptButton, rejectButton } = this.#detection;
+        const count = this.#suggestions.length;
+        status.textContent = count === 0 ? 'No suggestion left.'
+            : `${count} suggestion${count > 1 ? 's' : ''}: click to accept, right-click to reject.`;
+        acceptButton.disabled = rejectButton.disabled = count === 0;
+        this.#recomputeAfterChange();
+    }
+
+    // Accept suggested shapes, in a single step of the history
+    #acceptSuggestions(shapes) {
+        const commands = shapes.map(e => this.#addShapeCommand(e));
+        this.#execute({
+            redo: () => commands.forEach(e => e.redo()),
+            undo: () => commands.toReversed().forEach(e => e.undo())
+        });
+        this.#suggestions = this.#suggestions.filter(e => !shapes.includes(e));
+        this.#refreshSuggestions();
+    }
+
+    // Stop the wall detection, discarding its suggestions
+    #closeDetection() {
+        cancelDetection();
+        this.#suggestions = [];
+        this.#detection.panel.classList.add('hidden');
+        this.#recomputeAfterChange();
+    }
+
+    // Create the inspector, where the properties and openings of the selected wall or boundary edge
+    // are edited, along with the legend of the material colours
+    #createInspector() {
+        const panel = this.appendToShadow(E('div', 'inspector hidden'));
+        const [title, hint, fields, openings, room, legend] = panel.appendElements(
+            { tag: 'div', className: 'title' },
+            { tag: 'div', className: 'hint' },
+            { tag: 'div', className: 'fields' },
+            { tag: 'div', className: 'openings' },
+            { tag: 'div', className: 'room' },
+            { tag: 'div', className: 'legend' }
+        );
+        const [materialLabel, attenuationLabel, thicknessLabel, notesLabel] = fields.appendElements(
+            { tag: 'label', content: 'Material' },
+            { tag: 'label', content: 'Attenuation (dB)' },
+            { tag: 'label', content: 'Thickness (m)' },
+            { tag: 'label', content: 'Notes' }
+        );
+        const material = materialLabel.appendElement('select');
+        for (const [id, { name, color }] of knownMaterials()) {
+            material.appendElement({ tag: 'option', attributes: { value: id }, content: name });
+            const entry = legend.appendElement({ tag: 'div', content: name });
+            entry.prepend(E('span', 'swatch', { style: `background: ${color}` }));
+        }
+        const attenuation = attenuationLabel.appendElement({ tag: 'input', attributes: {
+            type: 'number', min: 0, step: .5
+        } });
+        const thickness = thicknessLabel.appendElement({ tag: 'input', attributes: {
+            type: 'number', min: 0, step: .01
+        } });
+        const notes = notesLabel.appendElement({ tag: 'textarea', attributes: { rows: 2 } });
+
+        // Changing the material resets the attenuation and thickness to the material defaults
+        material.addEventListener('change', () => {
+            this.#updateSelection(properties => ({ ...defaultProperties(material.value),
+                                                   notes: properties.notes, openings: properties.openings }));
+        });
+        attenuation.addEventListener('change', () => {
+            const value = parseFloat(attenuation.value);
+            this.#updateSelection(properties => value >= 0 ? { ...properties, attenuation: value } : null);
+        });
+        thickness.addEventListener('change', () => {
+            const value = parseFloat(thickness.value);
+            this.#updateSelection(properties => value > 0 || thickness.value === ''
+                ? { ...properties, thickness: thickness.value === '' ? null : value } : null);
+        });
+        notes.addEventListener('change', () => {
+            this.#updateSelection(properties => ({ ...properties, notes: notes.value.trim() }));
+        });
+        this.#inspector = { panel, title, hint, fields, openings, material, attenuation, thickness, notes,
+                            room: this.#createRoomFields(room) };
+    }
+
+    // Create the inspector fields of a room: its name, its category and its metadata
+    #createRoomFields(container) {
+        const [nameLabel, categoryLabel, metadata, addButton] = container.appendElements(
+            { tag: 'label', content: 'Name' },
+            { tag: 'label', content: 'Category' },
+            { tag: 'div', className: 'metadata' },
+            { tag: 'button', content: 'Add a field' }
+        );
+        const name = nameLabel.appendElement({ tag: 'input', attributes: { type: 'text', placeholder: 'e.g. B-204' } });
+        const category = categoryLabel.appendElement('select');
+        category.appendElement({ tag: 'option', attributes: { value: '' }, content: 'None' });
+        for (const [id, categoryName] of Object.entries(ROOM_CATEGORIES))
+            category.appendElement({ tag: 'option', attributes: { value: id }, content: categoryName });
+
+        name.addEventListener('change', () => this.#updateRoom(room => ({ ...room, name: name.value.trim() })));
+        category.addEventListener('change', () => {
+            this.#updateRoom(room => ({ ...room, category: category.value === '' ? null : category.value }));
+        });
+        addButton.addEventListener('click', () => {
+            const key = prompt('Name of the new field:')?.trim();
+            if (!key)
+                return;
+            this.#updateRoom(room => ({ ...room, metadata: { ...room.metadata, [key]: room.metadata[key] ?? '' } }));
+        });
+        return { container, name, category, metadata };
+    }
+
+    // Show the room of the selected polygon in the inspector, with a row for each metadata field
+    #refreshRoom() {
+        const { name, category, metadata } = this.#inspector.room;
+        const room = this.#rooms.get(this.#selection.shape) ?? null;
+        name.value = room?.name ?? '';
+        category.value = room?.category ?? '';
+        metadata.replaceChildren();
+        for (const [key, value] of Object.entries(room?.metadata ?? {})) {
+            const row = metadata.appendElement({ tag: 'div', className: 'field' });
+            row.appendElement({ tag: 'span', content: key });
+            const [input, remove] = row.appendElements(
+                { tag: 'input', attributes: { type: 'text', value } },
+                { tag: 'button', attributes: { title: 'Remove this field' }, content: '✕' }
+            );
+            input.addEventListener('change', () => {
+                this.#updateRoom(room => ({ ...room, metadata: { ...room.metadata, [key]: input.value } }));
+            });
+            remove.addEventListener('click', () => {
+                this.#updateRoom(room => ({
+                    ...room,
+                    metadata: Object.fromEntries(Object.entries(room.metadata).filter(([k]) => k !== key))
+                }));
+            });
+        }
+    }
+
+    // Change the room of the selected polygon, as a step of the history. Polygons without a name, a
+    // category or metadata are untagged.
+    #updateRoom(update) {
+        const { shape } = this.#selection;
+        const room = update(this.#rooms.get(shape) ?? { name: '', category: null, metadata: {} });
+        this.#execute(this.#roomCommand(shape, isRoom(room) ? room : null));
+        this.#redraw();
+    }
+
+    // List the openings of the selected edge in the inspector, with their type and width. Widths are
+    // shown in meters if the scale is known, and in floorplan pixels otherwise.
+    #refreshOpenings() {
+        const { shape, index } = this.#selection;
+        const { openings } = this.#edgeProperties(shape)[index];
+        const [p1, p2] = this.#edges(shape)[index].points;
+        const length = p1.to(p2).norm();
+        const scale = this.getScale();
+        const container = this.#inspector.openings;
+        container.replaceChildren();
+        container.classList.toggle('hidden', openings.length === 0);
+        container.appendElement({ tag: 'div', content: `Openings (width in ${scale === null ? 'px' : 'm'})` });
+
+        // Each update replaces the edited opening
+        const update = (i, change) => this.#updateSelection(properties => {
+            const opening = change(properties.openings[i]);
+            return opening === null ? null : {
+                ...properties,
+                openings: properties.openings.map((e, j) => j === i ? fitOpening(opening, length) : e)
+            };
+        });
+        openings.forEach((opening, i) => {
+            const [type, width, remove] = container.appendElement({ tag: 'div', className: 'opening' }).appendElements(
+                'select',
+                { tag: 'input', attributes: { type: 'number', min: 0, step: scale === null ? 1 : .05,
+                                              value: scale === null ? Math.round(opening.width)
+                                                                    : (opening.width / scale).toFixed(2) } },
+                { tag: 'button', attributes: { title: 'Remove this opening' }, content: '✕' }
+            );
+            for (const [id, { name }] of Object.entries(OPENING_TYPES))
+                type.appendElement({ tag: 'option', attributes: { value: id }, content: name });
+            type.value = opening.type;
+            type.addEventListener('change', () => update(i, e => ({ ...e, type: type.value })));
+            width.addEventListener('change', () => {
+                const value = parseFloat(width.value);
+                update(i, e => value > 0 ? { ...e, width: scale === null ? value : value * scale } : null);
+            });
+            remove.addEventListener('click', () => {
+                this.#removeOpening(shape, index, i);
+                this.#redraw();
+            });
+        });
+    }
+
+    // Select an edge, given by its shape and index, or clear the selection
+    #select(selection) {
+        this.#selection = selection;
+        this.#refreshInspector();
+    }
+
+    // Change the properties of the selected edge, as a step of the history. Invalid values, for
+    // which the update returns null, are discarded.
+    #updateSelection(update) {
+        const { shape, index } = this.#selection;
+        const after = update(this.#edgeProperties(shape)[index]);
+        if (after === null)
+            this.#refreshInspector();
+        else
+            this.#execute(this.#propertiesCommand(shape, index, after));
+        this.#redraw();
+    }
+
+    // Show the properties of the selected edge in the inspector. The selection is cleared if its
+    // edge no longer exists.
+    #refreshInspector() {
+        const { panel, title, hint, fields, material, attenuation, thickness, notes } = this.#inspector;
+        panel.classList.toggle('hidden', !this.#isInspecting());
+        if (this.#selection !== null) {
+            const { shape, index } = this.#selection;
+            if (!this.#shapes.includes(shape) || (index !== null && index >= this.#edges(shape).length))
+                this.#selection = null;
+        }
+        const roomSelected = this.#selection?.index === null;
+        hint.classList.toggle('hidden', this.#selection !== null);
+        fields.classList.toggle('hidden', this.#selection === null || roomSelected);
+        this.#inspector.openings.classList.toggle('hidden', this.#selection === null || roomSelected);
+        this.#inspector.room.container.classList.toggle('hidden', !roomSelected);
+        if (this.#selection === null) {
+            title.textContent = 'Inspector';
+            hint.textContent = (this.#drawingMode === 'opening' ? 'Click a wall or a boundary edge to add a door'
+                                                                : 'Click a wall or a boundary edge to inspect it')
+                               + ', or inside a boundary to name it as a room or zone.';
+            return;
+        }
+        if (roomSelected) {
+            title.textContent = 'Room or zone';
+            this.#refreshRoom();
+            return;
+        }
+        const { shape, index } = this.#selection;
+        const properties = this.#edgeProperties(shape)[index];
+        title.textContent = shape instanceof Segment2 ? 'Wall'
+                                                      : `Boundary edge ${index + 1} of ${shape.points.length}`;
+        material.value = properties.material;
+        attenuation.value = properties.attenuation;
+        thickness.value = properties.thickness ?? '';
+        notes.value = properties.notes;
+        this.#refreshOpenings();
+    }
+
     // Changes of image source are observed
     static get observedAttributes() {
         return super.observedAttributes.concat(['src']);
@@ -805,6 +1905,7 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         super.attributeChangedCallback(name, old, current);
         switch (name) {
             case 'src':
+                this.#closeDetection();
                 this.#img.src = current;
                 break;
             case 'status':
@@ -861,9 +1962,51 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         return new Ray2(source, new Vector2(1, 0).rotated(snap)).project(this.#cursor);
     }
 
+    // Load serialized shapes
+    load(data) {
+        this.#closeDetection();
+        const toPoints = shape => shapePoints(shape).map(e => new Point2(e.x, e.y));
+        this.#properties = new WeakMap();
+        this.#rooms = new WeakMap();
+        this.#selection = null;
+        this.#shapes = [...(data.structure ?? []).map(e => new Polygon2(toPoints(e))),
+                        ...(data.walls ?? []).map(e => new Segment2(...toPoints(e)))];
+        [...(data.structure ?? []), ...(data.walls ?? [])].forEach((e, i) => {
+            this.#properties.set(this.#shapes[i], shapeEdges(e));
+            const room = parseRoom(e.room);
+            if (isRoom(room))
+                this.#rooms.set(this.#shapes[i], room);
+        });
+        this.#calibration = null;
+        if (data.calibration)
+            this.#calibration = { segment: new Segment2(...toPoints(data.calibration.points)),
+                                  length: data.calibration.length };
+        this.#clearHistory();
+        this.#setDrawingMode(this.#drawingMode);
+    }
+
+    // Get the points of the largest structure polygon, which is usually the building outline, or
+    // null if there is no structure polygon
+    outline() {
+        const polygons = this.#shapes.filter(e => e instanceof Polygon2).map(e => [...e.points]);
+        if (polygons.length === 0)
+            return null;
+        return polygons.reduce((best, e) => polygonArea(e) > polygonArea(best) ? e : best);
+    }
+
+    // Serialize a shape, along with the properties of its edges and, for polygons, their room
+    #serialize(shape) {
+        const edges = this.#edgeProperties(shape).map(e => ({ ...e }));
+        if (shape instanceof Segment2)
+            return { points: shape.toJSON(), ...edges[0] };
+        const room = this.#rooms.get(shape) ?? null;
+        return { points: shape.toJSON(), edges,
+                 room: room === null ? null : { ...room, metadata: { ...room.metadata } } };
+    }
+
     // Return serialized shapes
     shapes() {
-        return this.#shapes.map(e => e.toJSON());
+        return this.#shapes.map(e => this.#serialize(e));
     }
 
     // Return serialized data
@@ -872,12 +2015,18 @@ class FloorplanEditor extends Statusable(Stylable(HTMLElement)) {
         const walls = [];
         for (const shape of this.#shapes) {
             if (shape instanceof Polygon2)
-                structure.push(shape.toJSON());
+                structure.push(this.#serialize(shape));
             else
-                walls.push(shape.toJSON());
+                walls.push(this.#serialize(shape));
         }
-        return { floorplan: { height: this.#img.naturalHeight, width: this.#img.naturalWidth },
-                 structure, walls };
+        const data = { floorplan: { height: this.#img.naturalHeight, width: this.#img.naturalWidth },
+                       structure, walls };
+        // The calibration scale is expressed in meters per pixel
+        if (this.#calibration !== null)
+            data.calibration = { points: this.#calibration.segment.toJSON(),
+                                 length: this.#calibration.length,
+                                 scale: 1 / this.#calibratedScale() };
+        return data;
     }
 }
 
@@ -1,15 +1,23 @@
 // This module implements a 3D floorplan viewer
 
+import { applyMatrix } from '/js/georef.mjs';
 import { Angle2, Matrix2, Point2, Point3, Vector2 } from '/js/linalg.mjs';
 import { createElement as E } from '/js/util.mjs';
 import { Statusable, Stylable } from '/js/mixins.mjs';
 import { Context2D } from '/js/context2d.mjs';
+import { OPENING_TYPES, getMaterial, shapeEdges, shapePoints, splitEdge } from '/js/materials.mjs';
+
+const DEFAULT_HEIGHT = 200;   // Wall height when the floorplan scale is unknown, in px
+const OTHER_LEVEL_ALPHA = .4; // Opacity of the levels which are not being edited
+const WALL_ALPHA = .7;        // Opacity of the walls, coloured by material
 
 
 class FloorplanViewer extends Statusable(Stylable(HTMLElement)) {
     #canvas;
     #ctx;
+    #images;
     #img;
+    #levels;
     #scale;
     #wallHeight;
 
@@ -24,6 +32,8 @@ class FloorplanViewer extends Statusable(Stylable(HTMLElement)) {
 
         this.#img = E('img');
         this.#img.addEventListener('load', this.#updateViewport.bind(this));
+        this.#images = new Map();
+        this.#levels = null;
         window.addEventListener('resize', this.#updateViewport.bind(this));
 
         this.#canvas = this.appendToShadow(E('canvas', null, { width: 1, height: 1 }));
@@ -90,6 +100,51 @@ class FloorplanViewer extends Statusable(Stylable(HTMLElement)) {
         this.#redraw();
     }
 
+    // Set the levels of the project, from the lowest to the highest. Each level is described by its
+    // floorplan source, its shapes, its altitude range in meters, and the matrix mapping its
+    // floorplan onto the floorplan being edited. The level being edited is flagged as current, its
+    // shapes, range and matrix are ignored.
+    setLevels(levels) {
+        this.#levels = levels;
+        for (const { src } of levels) {
+            if (this.#images.has(src))
+                continue;
+            const img = E('img', null, { src });
+            img.addEventListener('load', () => this.#redraw());
+            this.#images.set(src, img);
+        }
+        this.#redraw();
+    }
+
+    // Get the levels to display, along with their elevation and wall height in pixels
+    #stackedLevels() {
+        const scale = document.floorplanEditor?.getScale() ?? null;
+        const current = { img: this.#img, shapes: document.floorplanEditor?.shapes() ?? [],
+                          matrix: null, elevation: 0 };
+        current.height = scale === null || isNaN(this.#wallHeight) ? DEFAULT_HEIGHT
+                                                                   : this.#wallHeight * scale;
+        if (this.#levels === null || this.#levels.length < 2)
+            return [current];
+
+        // Elevations are relative to the level being edited. Without a known scale, levels are
+        // simply stacked on top of each other.
+        const index = this.#levels.findIndex(e => e.current);
+        const zref = this.#levels[index].zmin;
+        return this.#levels.map((level, i) => {
+            if (i === index)
+                return current;
+            const { src, shapes, zmin, zmax, matrix } = level;
+            const known = scale !== null && [zmin, zmax, zref].every(Number.isFinite);
+            return {
+                img: this.#images.get(src),
+                shapes,
+                matrix,
+                elevation: known ? (zmin - zref) * scale : (i - index) * DEFAULT_HEIGHT,
+                height: known ? (zmax - zmin) * scale : DEFAULT_HEIGHT
+            };
+        });
+    }
+
     // Draw one canvas frame
     #redraw() {
         this.#ctx.clearRect(Point2.origin, new Vector2(this.#canvas.width, this.#canvas.height));
@@ -106,11 +161,6 @@ class FloorplanViewer extends Statusable(Stylable(HTMLElement)) {
         const e = cCtr.x - this.#scale * (iCtr.x * yaw.cos + iCtr.y * yaw.sin);
         const f = cCtr.y + this.#scale * (iCtr.x * yaw.sin - iCtr.y * yaw.cos) * pitch.sin;
 
-        this.#ctx.save();
-        this.#ctx.setTransform(new Matrix2(a, b, c, d), new Vector2(e, f));
-        this.#ctx.drawImage(this.#img, Point2.origin);
-        this.#ctx.restore();
-
         // Point projection helper
         const project = p => {
             const x = p.x * yaw.cos + p.z * yaw.sin;
@@ -119,35 +169,71 @@ class FloorplanViewer extends Statusable(Stylable(HTMLElement)) {
             return new Point2(cCtr.x + x * this.#scale, cCtr.y - y * this.#scale);
         }
 
-        // Calculate wall height
-        let height;
-        const mapScale = document.worldMap?.getScale();
-        if (mapScale === null || isNaN(this.#wallHeight))
-            height = 200;
-        else
-            height = this.#wallHeight * mapScale;
+        // Display each level from the lowest to the highest, so that upper levels are drawn last
+        for (const level of this.#stackedLevels()) {
+            const m = level.matrix ?? [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+            const dy = level.elevation * pitch.cos * this.#scale;
+            this.#ctx.save();
+            if (level.img !== this.#img)
+                this.#ctx.globalAlpha = OTHER_LEVEL_ALPHA;
 
-        // Display walls
-        for (const shape of document.floorplanEditor?.shapes() ?? []) {
+            // Levels are aligned with an affine approximation of their matrix
+            if (level.img?.naturalWidth > 0) {
+                this.#ctx.setTransform(new Matrix2(a * m[0][0] + b * m[1][0], a * m[0][1] + b * m[1][1],
+                                                   c * m[0][0] + d * m[1][0], c * m[0][1] + d * m[1][1]),
+                                       new Vector2(a * m[0][2] + b * m[1][2] + e,
+                                                   c * m[0][2] + d * m[1][2] + f - dy));
+                this.#ctx.drawImage(level.img, Point2.origin);
+            }
+            this.#ctx.restore();
+            this.#drawWalls(level, project, iCtr);
+        }
+    }
+
+    // Display the walls of a level, coloured by material. Openings are cut out of the walls, from
+    // their sill to their head.
+    #drawWalls(level, project, iCtr) {
+        const { elevation, height, matrix } = level;
+        this.#ctx.save();
+        this.#ctx.globalAlpha = WALL_ALPHA;
+        for (const original of level.shapes) {
+            const points = shapePoints(original);
+            const edges = shapeEdges(original);
+            const shape = matrix === null ? [...points] : points.map(p => applyMatrix(matrix, p));
             if (shape.length > 2)
                 shape.push(shape[0]);
             for (let i = 0; i < shape.length - 1; i++) {
                 const p1 = shape[i];
                 const p2 = shape[i + 1];
-                const x1 = p1.x - iCtr.x;
-                const z1 = p1.y - iCtr.y;
-                const x2 = p2.x - iCtr.x;
-                const z2 = p2.y - iCtr.y;
-                this.#ctx.beginPath();
-                this.#ctx.moveTo(project(new Point3(x1, 0, z1)));
-                this.#ctx.lineTo(project(new Point3(x2, 0, z2)));
-                this.#ctx.lineTo(project(new Point3(x2, height, z2)));
-                this.#ctx.lineTo(project(new Point3(x1, height, z1)));
-                this.#ctx.closePath();
-                this.#ctx.fillStyle = '#aaab';
-                this.#ctx.fill();
+                // Openings are sized along the edge of the level floorplan
+                const q1 = points[i];
+                const q2 = points[(i + 1) % points.length];
+                const { solid, openings } = splitEdge(Math.hypot(q2.x - q1.x, q2.y - q1.y), edges[i].openings);
+
+                // Fill the part of the wall between two fractions of the edge length and of the wall height
+                const at = (t, h) => project(new Point3(p1.x + t * (p2.x - p1.x) - iCtr.x, elevation + h * height,
+                                                        p1.y + t * (p2.y - p1.y) - iCtr.y));
+                const fill = (start, end, bottom, top) => {
+                    this.#ctx.beginPath();
+                    this.#ctx.moveTo(at(start, bottom));
+                    this.#ctx.lineTo(at(end, bottom));
+                    this.#ctx.lineTo(at(end, top));
+                    this.#ctx.lineTo(at(start, top));
+                    this.#ctx.closePath();
+                    this.#ctx.fill();
+                };
+                this.#ctx.fillStyle = getMaterial(edges[i].material).color;
+                solid.forEach(([start, end]) => fill(start, end, 0, 1));
+                for (const { type, start, end } of openings) {
+                    const { sill, head } = OPENING_TYPES[type] ?? OPENING_TYPES.door;
+                    if (sill > 0)
+                        fill(start, end, 0, sill);
+                    if (head < 1)
+                        fill(start, end, head, 1);
+                }
             }
         }
+        this.#ctx.restore();
     }
 
     static get observedAttributes() {
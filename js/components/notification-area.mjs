@@ -0,0 +1,69 @@
+// This module implements a notification area, reporting errors and other events to the user
+// without interrupting their work
+
+import { Stylable } from '/js/mixins.mjs';
+import { createElement as E } from '/js/util.mjs';
+
+
+const INFO_TIMEOUT = 5000; // Delay before informational notifications are dismissed, in ms
+
+
+class NotificationArea extends Stylable(HTMLElement) {
+    #list;
+
+    constructor() {
+        super();
+        this.addStylesheet('style.css');
+        this.addStylesheet('components/notification-area.css');
+        this.#list = this.appendToShadow(E('div', 'notifications'));
+        document.notificationArea = this;
+    }
+
+    // Show a notification. Actions are buttons given as { label, callback } objects; the
+    // notification is dismissed when one of them is clicked. Notifications with a timeout are
+    // dismissed automatically. Return a function dismissing the notification.
+    notify(message, { level = 'info', details = null, actions = [], timeout = null } = {}) {
+        const item = this.#list.appendElement({ tag: 'div', className: `notification ${level}` });
+        const [text, buttons] = item.appendElements(
+            { tag: 'div', className: 'message', content: message },
+            { tag: 'div', className: 'actions' }
+        );
+        if (details !== null && details !== message)
+            text.appendElement({ tag: 'div', className: 'details', content: details });
+
+        const dismiss = () => item.remove();
+        for (const { label, callback } of actions) {
+            const btn = buttons.appendElement({ tag: 'button', content: label });
+            btn.addEventListener('click', () => {
+                dismiss();
+                callback();
+            });
+        }
+        const closeBtn = buttons.appendElement({ tag: 'button', className: 'close',
+                                                 attributes: { title: 'Dismiss' }, content: '×' });
+        closeBtn.addEventListener('click', dismiss);
+        if (timeout !== null)
+            setTimeout(dismiss, timeout);
+        return dismiss;
+    }
+
+    // Show an informational notification, dismissed after a while
+    info(message) {
+        return this.notify(message, { timeout: INFO_TIMEOUT });
+    }
+
+    // Show an error notification, which stays until the user dismisses it. Errors returned by the
+    // server are shown along with the server message.
+    error(message, err, actions = []) {
+        return this.notify(message, { level: 'error', details: err?.body || err?.message || null, actions });
+    }
+}
+
+
+try {
+    customElements.define('notification-area', NotificationArea);
+}
+catch (e) {
+  if (!(e instanceof DOMException))
+    throw e;
+}
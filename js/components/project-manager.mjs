@@ -0,0 +1,183 @@
+// This module implements a project manager, listing the maps stored on the server and allowing to
+// open, rename or delete them
+
+import { deleteMap, floorplanSource, getMaps, renameMap } from '/js/api.mjs';
+import { Transformation, toFittingPlane } from '/js/georef.mjs';
+import { Point2 } from '/js/linalg.mjs';
+import { shapePoints } from '/js/materials.mjs';
+import { Stylable } from '/js/mixins.mjs';
+import { createElement as E } from '/js/util.mjs';
+
+
+const PREVIEW_SIZE = 60; // Size of footprint previews, in px
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+
+// Draw the footprint of a project, as it lies on the map, into an SVG preview. The footprint is the
+// outline of the floorplan, along with its structure polygons. Return null if the project is not
+// georeferenced.
+function footprintPreview(data) {
+    const level = data.levels?.[0] ?? data;
+    const anchors = level.anchors ?? [];
+    const src = anchors.map(e => new Point2(e.x, e.y));
+    const dst = anchors.map(e => new Point2(e.lng, e.lat));
+    const transformation = Transformation.fit(data.transform ?? 'affine', src, dst);
+    if (transformation === null)
+        return null;
+
+    const { width, height } = level;
+    const corners = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+    const polygons = [corners, ...(level.structure ?? []).map(shapePoints)].map(polygon => polygon.map(p => {
+        return toFittingPlane(transformation.apply(new Point2(p.x, p.y)));
+    }));
+
+    // Fit the footprint in the preview, keeping its aspect ratio
+    const all = polygons.flat();
+    const minX = Math.min(...all.map(p => p.x));
+    const minY = Math.min(...all.map(p => p.y));
+    const size = Math.max(Math.max(...all.map(p => p.x)) - minX, Math.max(...all.map(p => p.y)) - minY) || 1;
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'footprint');
+    svg.setAttribute('viewBox', `-2 -2 ${PREVIEW_SIZE + 4} ${PREVIEW_SIZE + 4}`);
+    polygons.forEach((polygon, i) => {
+        const element = document.createElementNS(SVG_NS, 'polygon');
+        element.setAttribute('points', polygon.map(p => `${(p.x - minX) / size * PREVIEW_SIZE},` +
+                                                        `${(p.y - minY) / size * PREVIEW_SIZE}`).join(' '));
+        element.setAttribute('class', i === 0 ? 'outline' : 'structure');
+        svg.appendChild(element);
+    });
+    return svg;
+}
+
+
+class ProjectManager extends Stylable(HTMLElement) {
+    #list;
+
+    constructor() {
+        super();
+        this.addStylesheet('style.css');
+        this.addStylesheet('components/project-manager.css');
+        this.#list = this.appendToShadow(E('div', 'project-list', null, 'Loading projects…'));
+    }
+
+    connectedCallback() {
+        this.#load();
+    }
+
+    // Fetch the maps stored on the server and list them
+    #load() {
+        getMaps().then(({ maps, errors }) => {
+            this.#list.replaceChildren();
+            for (const [id, data] of maps)
+                this.#createItem(id, data);
+            this.#refreshEmptyState();
+            if (errors.length > 0)
+                document.notificationArea.error(`${errors.length} project(s) could not be loaded`,
+                                                errors[0], [{ label: 'Retry', callback: () => this.#load() }]);
+        }).catch(err => {
+            this.#list.textContent = 'The projects could not be loaded.';
+            document.notificationArea.error('The projects could not be loaded', err,
+                                            [{ label: 'Retry', callback: () => this.#load() }]);
+        });
+    }
+
+    // Create the list item of a project
+    #createItem(id, data) {
+        const item = this.#list.appendElement({ tag: 'div', className: 'project' });
+        const level = data.levels?.[0] ?? data;
+        const { zmin } = level;
+        const { zmax } = data.levels?.at(-1) ?? data;
+        const levels = data.levels === undefined ? '' : `, ${data.levels.length} levels`;
+
+        const thumbnail = item.appendElement({ tag: 'img', className: 'thumbnail',
+                                               attributes: { loading: 'lazy', alt: '' } });
+        // Thumbnails are decorative, so a floorplan which cannot be loaded leaves an empty one
+        thumbnail.addEventListener('load', () => URL.revokeObjectURL(thumbnail.src), { once: true });
+        floorplanSource(level.path).then(url => thumbnail.src = url).catch(() => null);
+        item.appendChild(footprintPreview(data) ?? E('div', 'footprint'));
+        const [details, actions] = item.appendElements(
+            { tag: 'div', className: 'details' },
+            { tag: 'div', className: 'actions' }
+        );
+        const [name,] = details.appendElements(
+            { tag: 'div', className: 'name', content: data.name || `Project ${id}` },
+            { tag: 'div', className: 'altitude', content: `${zmin} m – ${zmax} m${levels}` }
+        );
+        const [openBtn, renameBtn, deleteBtn] = actions.appendElements(
+            { tag: 'button', content: 'Open' },
+            { tag: 'button', content: 'Rename' },
+            { tag: 'button', className: 'delete', content: 'Delete' }
+        );
+
+        openBtn.addEventListener('click', () => {
+            this.dispatchEvent(new CustomEvent('projectopen', { detail: { id, data } }));
+        });
+        renameBtn.addEventListener('click', () => this.#startRenaming(id, data, name));
+        deleteBtn.addEventListener('click', () => this.#delete(id, data, item));
+    }
+
+    // Replace the name of a project with an input field, until the user saves or cancels the change
+    #startRenaming(id, data, name) {
+        if (name.querySelector('input') !== null)
+            return;
+        const previous = name.textContent;
+        name.replaceChildren();
+        const [input, saveBtn, cancelBtn] = name.appendElements(
+            { tag: 'input', attributes: { type: 'text', value: data.name ?? '', required: 'required' } },
+            { tag: 'button', content: 'Save' },
+            { tag: 'button', content: 'Cancel' }
+        );
+        input.focus();
+        input.select();
+
+        const cancel = () => name.textContent = previous;
+        const save = () => {
+            if (!input.checkValidity())
+                return;
+            input.disabled = saveBtn.disabled = true;
+            renameMap(id, input.value).then(() => {
+                data.name = input.value;
+                name.textContent = input.value;
+            }).catch(err => {
+                document.notificationArea.error(`${previous} could not be renamed`, err);
+                input.disabled = saveBtn.disabled = false;
+            });
+        };
+        saveBtn.addEventListener('click', save);
+        cancelBtn.addEventListener('click', cancel);
+        input.addEventListener('keydown', e => {
+            if (e.key === 'Enter')
+                save();
+            else if (e.key === 'Escape')
+                cancel();
+        });
+    }
+
+    // Delete a project from the server, after a confirmation
+    #delete(id, data, item) {
+        if (!confirm(`Delete ${data.name || `project ${id}`}? This cannot be undone.`))
+            return;
+        deleteMap(id).then(() => {
+            item.remove();
+            this.#refreshEmptyState();
+            this.dispatchEvent(new CustomEvent('projectdelete', { detail: { id } }));
+        }).catch(err => {
+            document.notificationArea.error(`${data.name || `Project ${id}`} could not be deleted`, err);
+        });
+    }
+
+    // Display a message if there is no project left
+    #refreshEmptyState() {
+        if (this.#list.children.length === 0)
+            this.#list.textContent = 'There is no project on the server yet.';
+    }
+}
+
+
+try {
+    customElements.define('project-manager', ProjectManager);
+}
+catch (e) {
+  if (!(e instanceof DOMException))
+    throw e;
+}
@@ -1,31 +1,69 @@
 // This module implements a map viewer allowing to position floor plans
 
-import { LAYERS } from '/js/components/datasources.mjs';
-import { BoundingBox2, Matrix2, Point2, Vector2 } from '/js/linalg.mjs';
+import { floorplanSource, getMap, listMaps } from '/js/api.mjs';
+import { BACKDROP_FILES, readBackdrop } from '/js/backdrops.mjs';
+import { capabilitiesSource, readCapabilities } from '/js/capabilities.mjs';
+import { addCustomSource, createTileLayer, dataSources } from '/js/components/datasources.mjs';
+import { getConfig, hasFeature } from '/js/config.mjs';
+import { coordinateSystems, formatCoordinates, parseCoordinates } from '/js/coordinates.mjs';
+import { readFootprints } from '/js/footprints.mjs';
+import { MODELS, Transformation, anchorColor, applyMatrix, fromFittingPlane, hav, snapPolygon,
+         toFittingPlane } from '/js/georef.mjs';
+import { BoundingBox2, Point2, Vector2 } from '/js/linalg.mjs';
 import { Stylable } from '/js/mixins.mjs';
+import { projectiveOverlay } from '/js/projective-overlay.mjs';
+import { MAX_TILES, clearTileCache, countTiles, downloadTiles, tileCacheStats, tileCacheSupported,
+         tileURLs } from '/js/tile-cache.mjs';
 import { createElement as E } from '/js/util.mjs';
 import '/js/leaflet.js';
 import '/js/leaflet.imageoverlay.rotated.js';
 
-const AVERAGE_EARTH_RADIUS = 6_371_008.771
-
-// Compute a degree cosinus
-function dcos(a) {
-    return Math.cos(a * Math.PI / 180);
-}
-
-// Compute the Haversine distance between two points
-function hav(p1, p2) {
-    return Math.asin(Math.sqrt ((1 - dcos(p2.lat - p1.lat) + dcos(p1.lat) * dcos(p2.lat) *
-                                 (1 - dcos(p2.lng - p1.lng))) / 2)) * 2 * AVERAGE_EARTH_RADIUS;
+const OVERLAY_OPACITY = .7;
+const FOOTPRINT_STYLE = { color: '#d2d', weight: 2, dashArray: '6 4', fillOpacity: .05 };
+const SELECTED_FOOTPRINT_STYLE = { color: '#d2d', weight: 3, dashArray: null, fillOpacity: .15 };
+const BACKDROP_Z_INDEX = 300;       // Backdrops lie between tiles (200) and overlays (400)
+const ADD_LAYER = '+capabilities'; // Value of the layer option adding a WMS or WMTS layer
+const OFFLINE_ZOOM_DEPTH = 3; // Default number of zoom levels below the current one to download
+const COORDINATE_SYSTEM_KEY = 'opmode-coordinate-system'; // Local storage key of the anchor coordinate system
+const SNAP_TOLERANCE = .05; // Distance under which an anchor sticks to a footprint vertex, relative
+                            // to the footprint size
+
+
+// Pick the given number of points among the vertices and edge midpoints of a polygon, as far from
+// each other as possible
+function spreadPoints(polygon, count) {
+    const candidates = polygon.flatMap((p, i) => {
+        const q = polygon[(i + 1) % polygon.length];
+        return [p, new Point2((p.x + q.x) / 2, (p.y + q.y) / 2)];
+    });
+    const points = [candidates.shift()];
+    while (points.length < count && candidates.length > 0) {
+        const distance = p => Math.min(...points.map(q => p.to(q).norm()));
+        const index = candidates.reduce((best, p, i) => distance(p) > distance(candidates[best]) ? i : best, 0);
+        points.push(candidates.splice(index, 1)[0]);
+    }
+    return points;
 }
 
 class WorldMap extends Stylable(HTMLElement) {
     #anchors;
+    #backdrop;
+    #coordinates;
     #currentLayer;
+    #excludedMaps;
+    #footprints;
     #map;
+    #mapErrors;
+    #mapList;
+    #mapPanel;
+    #maps;
+    #model;
     #overlay;
+    #residuals;
     #scale;
+    #selectedFootprint;
+    #source;
+    #transformation;
 
     constructor() {
         super();
@@ -35,101 +73,568 @@ class WorldMap extends Stylable(HTMLElement) {
         this.addStylesheet('style.css');
 
         const mapDiv = this.appendToShadow(E('div'));
-        // Show Brest, FR, by default
-        this.#map = L.map(mapDiv, { center: [48.383313, -4.497187], zoom: 14 });
-
-        this.#currentLayer = L.tileLayer(LAYERS.osm.layer, {
-            minZoom: 0,
-            maxZoom: 20,
-            tileSize: 256,
-            attribution: LAYERS.osm.attribution,
-            maxNativeZoom: LAYERS.osm.maxZoom
-        });
-        this.#currentLayer.addTo(this.#map);
+        // Show Brest, FR, unless another view is configured
+        const settings = getConfig().map;
+        this.#map = L.map(mapDiv, { center: settings.center, zoom: settings.zoom });
+        this.#map.createPane('backdrop').style.zIndex = BACKDROP_Z_INDEX;
+        this.#backdrop = null;
 
+        const sources = dataSources(settings);
         const layers = E('select');
-        for (const layer in LAYERS)
-            layers.appendElement({ tag: 'option', attributes: { value: layer }, content: LAYERS[layer].name });
+        for (const layer in sources)
+            layers.appendElement({ tag: 'option', attributes: { value: layer }, content: sources[layer].name });
+        const addOption = layers.appendElement({ tag: 'option', attributes: { value: ADD_LAYER },
+                                                 content: 'Add a WMS or WMTS layer…' });
         this.appendToShadow(layers);
-        layers.addEventListener('change', e => {
+        layers.value = settings.defaultLayer in sources ? settings.defaultLayer : Object.keys(sources)[0];
+        let current = layers.value;
+        const selectSource = id => {
             this.#map.removeLayer(this.#currentLayer);
-            const layer = LAYERS[e.target.value];
-            this.#currentLayer = L.tileLayer(layer.layer, {
-                minZoom: 0,
-                maxZoom: 20,
-                tileSize: 256,
-                attribution: layer.attribution,
-                maxNativeZoom: layer.maxZoom
-            });
+            current = layers.value = id;
+            this.#source = sources[id];
+            this.#currentLayer = createTileLayer(this.#source);
             this.#currentLayer.addTo(this.#map);
+            this.dispatchEvent(new Event('sourcechange'));
+        };
+        this.#source = sources[current];
+        this.#currentLayer = createTileLayer(this.#source);
+        this.#currentLayer.addTo(this.#map);
+        layers.addEventListener('change', () => {
+            if (layers.value !== ADD_LAYER) {
+                selectSource(layers.value);
+                return;
+            }
+            layers.value = current;
+            this.#pickCapabilitiesLayer().then(source => {
+                if (source === null)
+                    return;
+                const [id, dataSource] = addCustomSource(source);
+                sources[id] = dataSource;
+                layers.insertBefore(E('option', null, { value: id }, source.name), addOption);
+                selectSource(id);
+            });
         });
+        if (tileCacheSupported())
+            this.#createOfflinePanel();
+
+        this.#residuals = this.appendToShadow(E('div', 'residuals hidden'));
+        this.#createCoordinatesPanel();
+
+        this.#mapPanel = this.appendToShadow(E('details', 'existing-maps hidden'));
+        [, this.#mapList, this.#mapErrors] = this.#mapPanel.appendElements(
+            { tag: 'summary' },
+            { tag: 'div', className: 'map-list' },
+            { tag: 'div', className: 'errors' }
+        );
 
         this.#anchors = null;
         this.#scale = null;
+        this.#transformation = null;
+        this.#model = 'affine';
 
         this.#overlay = null;
+        this.#footprints = [];
+        this.#selectedFootprint = null;
+        this.#excludedMaps = new Set();
+        this.#maps = new Map();
         new ResizeObserver(() => this.#map.invalidateSize()).observe(mapDiv);
+        if (hasFeature('existingMaps'))
+            this.#loadMaps();
+    }
 
-        fetch(`${window.apiURL}/maps`).then(response => {
-            if (!response.ok)
-                throw new Error(`Failed to load maps (${response.status})`);
-            return response.json();
-        }).then(ids => {
-            ids.forEach(id => {
-                fetch(`${window.apiURL}/maps/${id}`).then(response => {
-                    if (!response.ok)
-                        throw new Error(`Failed to load map ${id} (${response.status})`);
-                    return response.json();
-                }).then(data => {
-                    const srcAnchors = [];
-                    const dstAnchors = [];
-                    for (const anchor of data.anchors) {
-                        srcAnchors.push(new Point2(anchor.x, anchor.y));
-                        dstAnchors.push(new Point2(anchor.lng, anchor.lat));
-                    }
-                    const srcRect = new Point2(data.width, data.height);
-                    this.updateOverlay(srcAnchors, srcRect, `${window.apiURL}/${data.path}`, dstAnchors);
-                    this.#overlay = null;
-                }).catch(err => {
-                    alert(err);
-                });
+    // Ask the user for the capabilities of a WMS or WMTS service, and for the layer to add along with
+    // its style, format and tile matrix set. Resolve to the data source to add, or null if the user
+    // cancels.
+    #pickCapabilitiesLayer() {
+        const dialog = this.appendToShadow(E('dialog', 'capabilities'));
+        dialog.appendElement({ tag: 'div', className: 'title', content: 'Add a WMS or WMTS layer' });
+        const form = dialog.appendElement({ tag: 'form', className: 'content' });
+        const [url, loadBtn, error, fields, actions] = form.appendElements(
+            { tag: 'input', attributes: { type: 'url', required: 'required', placeholder: 'GetCapabilities URL' } },
+            { tag: 'button', attributes: { type: 'button' }, content: 'Load' },
+            { tag: 'div', className: 'error hidden' },
+            { tag: 'div', className: 'fields hidden' },
+            { tag: 'div', className: 'actions' }
+        );
+        const selects = {};
+        for (const [name, label] of [['layer', 'Layer'], ['style', 'Style'], ['format', 'Format'],
+                                     ['matrixSet', 'Tile matrix set']]) {
+            const field = fields.appendElement({ tag: 'label', className: name, content: label });
+            selects[name] = field.appendElement('select');
+        }
+        const [cancelBtn, addBtn] = actions.appendElements(
+            { tag: 'button', attributes: { type: 'button' }, content: 'Cancel' },
+            { tag: 'button', attributes: { type: 'submit', disabled: 'disabled' }, content: 'Add' }
+        );
+        const fill = (select, values, labels = values) => {
+            select.replaceChildren(...values.map((e, i) => E('option', null, { value: e }, labels[i] || e)));
+            select.parentElement.classList.toggle('hidden', values.length === 0);
+        };
+        let capabilities = null;
+        const refreshLayer = () => {
+            const layer = capabilities.layers.find(e => e.id === selects.layer.value);
+            fill(selects.style, layer.styles);
+            fill(selects.format, layer.formats);
+            fill(selects.matrixSet, layer.matrixSets ?? []);
+        };
+        selects.layer.addEventListener('change', refreshLayer);
+        loadBtn.addEventListener('click', () => {
+            if (!url.reportValidity())
+                return;
+            loadBtn.disabled = addBtn.disabled = true;
+            error.classList.add('hidden');
+            readCapabilities(url.value).then(result => {
+                capabilities = result;
+                fill(selects.layer, result.layers.map(e => e.id), result.layers.map(e => e.title));
+                refreshLayer();
+                fields.classList.remove('hidden');
+                addBtn.disabled = false;
+            }).catch(err => {
+                error.textContent = err instanceof TypeError ? 'The service could not be reached' : err.message;
+                error.classList.remove('hidden');
+            }).finally(() => loadBtn.disabled = false);
+        });
+        dialog.showModal();
+
+        return new Promise(resolve => {
+            const close = source => {
+                dialog.remove();
+                resolve(source);
+            };
+            cancelBtn.addEventListener('click', () => close(null));
+            dialog.addEventListener('cancel', () => close(null));
+            form.addEventListener('submit', e => {
+                e.preventDefault();
+                try {
+                    close(capabilitiesSource(capabilities, selects.layer.value, {
+                        style: selects.style.value || null,
+                        format: selects.format.value,
+                        matrixSet: selects.matrixSet.value
+                    }));
+                }
+                catch (err) {
+                    error.textContent = err.message;
+                    error.classList.remove('hidden');
+                }
+            });
+        });
+    }
+
+    // Create the panel downloading the tiles of the current view, in the selected layer, for offline
+    // use
+    #createOfflinePanel() {
+        const panel = this.appendToShadow(E('details', 'offline-tiles'));
+        const [summary, zoom, estimate, actions, progress] = panel.appendElements(
+            { tag: 'summary', content: 'Offline tiles' },
+            { tag: 'div', className: 'zoom' },
+            { tag: 'div', className: 'estimate' },
+            { tag: 'div', className: 'actions' },
+            { tag: 'progress', className: 'hidden', attributes: { value: 0, max: 1 } }
+        );
+        const [, minZoom,, maxZoom] = zoom.appendElements(
+            { tag: 'label', content: 'Zoom levels' },
+            { tag: 'input', attributes: { type: 'number', min: 0, step: 1 } },
+            { tag: 'span', content: 'to' },
+            { tag: 'input', attributes: { type: 'number', min: 0, step: 1 } }
+        );
+        const [downloadBtn, clearBtn] = actions.appendElements(
+            { tag: 'button', attributes: { title: 'Download the tiles of the current view' }, content: 'Download' },
+            { tag: 'button', attributes: { title: 'Delete every downloaded tile' }, content: 'Clear' }
+        );
+        let download = null; // Aborts the download in progress
+
+        const refreshStats = () => tileCacheStats().then(({ count, size }) => {
+            summary.textContent = `Offline tiles (${count}, ${(size / 1e6).toFixed(1)} MB)`;
+        }).catch(() => summary.textContent = 'Offline tiles');
+        const range = () => [parseInt(minZoom.value), Math.min(parseInt(maxZoom.value), this.#source.maxZoom)];
+        const refreshEstimate = () => {
+            if (!panel.open || download !== null)
+                return;
+            maxZoom.max = minZoom.max = this.#source.maxZoom;
+            if (this.#source.offline === false) {
+                estimate.textContent = `The usage policy of ${this.#source.name} forbids bulk downloads`;
+                estimate.classList.add('error');
+                downloadBtn.disabled = true;
+                return;
+            }
+            const [min, max] = range();
+            const count = min <= max ? countTiles(this.#source, this.#map.getBounds(), min, max) : 0;
+            estimate.textContent = `${count} tiles of ${this.#source.name} in the current view`;
+            estimate.classList.toggle('error', count > MAX_TILES);
+            downloadBtn.disabled = count === 0 || count > MAX_TILES;
+        };
+
+        panel.addEventListener('toggle', () => {
+            if (!panel.open)
+                return;
+            const current = Math.min(Math.round(this.#map.getZoom()), this.#source.maxZoom);
+            minZoom.value = current;
+            maxZoom.value = Math.min(current + OFFLINE_ZOOM_DEPTH, this.#source.maxZoom);
+            refreshEstimate();
+        });
+        minZoom.addEventListener('input', refreshEstimate);
+        maxZoom.addEventListener('input', refreshEstimate);
+        this.#map.on('moveend', refreshEstimate);
+        this.addEventListener('sourcechange', refreshEstimate);
+
+        downloadBtn.addEventListener('click', () => {
+            if (download !== null) {
+                download.abort();
+                return;
+            }
+            const [min, max] = range();
+            const urls = tileURLs(this.#source, this.#map.getBounds(), min, max);
+            download = new AbortController();
+            downloadBtn.textContent = 'Cancel';
+            clearBtn.disabled = true;
+            progress.classList.remove('hidden');
+            downloadTiles(urls, (processed, total) => {
+                progress.value = processed / total;
+                estimate.textContent = `${processed} / ${total} tiles`;
+            }, download.signal).then(failed => {
+                if (failed > 0 && !download.signal.aborted)
+                    document.notificationArea.notify(`${failed} tiles could not be downloaded`, { level: 'error' });
+            }).catch(err => {
+                document.notificationArea.error('The tiles could not be downloaded', err);
+            }).finally(() => {
+                download = null;
+                downloadBtn.textContent = 'Download';
+                clearBtn.disabled = false;
+                progress.classList.add('hidden');
+                refreshStats();
+                refreshEstimate();
             });
+        });
+        clearBtn.addEventListener('click', () => {
+            clearTileCache().then(refreshStats).catch(err => {
+                document.notificationArea.error('The tile cache could not be cleared', err);
+            });
+        });
+        refreshStats();
+    }
+
+    // Create the panel showing the coordinates of the anchors in the selected reference system, where
+    // exact coordinates can be typed in to move the anchors
+    #createCoordinatesPanel() {
+        this.#coordinates = this.appendToShadow(E('details', 'anchor-coordinates hidden'));
+        const [, system] = this.#coordinates.appendElements(
+            { tag: 'summary', content: 'Anchor coordinates' },
+            { tag: 'select', className: 'system' },
+            { tag: 'div', className: 'rows' }
+        );
+        for (const [value, name] of coordinateSystems())
+            system.appendElement({ tag: 'option', attributes: { value }, content: name });
+        // The stored system may no longer be configured
+        system.value = localStorage.getItem(COORDINATE_SYSTEM_KEY);
+        if (system.selectedIndex === -1)
+            system.selectedIndex = 0;
+        system.addEventListener('change', () => {
+            localStorage.setItem(COORDINATE_SYSTEM_KEY, system.value);
+            this.#refreshCoordinates();
+        });
+    }
+
+    // Add the coordinates row of the anchor with the given index. Typed coordinates move the anchor
+    // once they are validated.
+    #createCoordinatesRow(index) {
+        const row = this.#coordinates.querySelector('.rows').appendElement({ tag: 'div', className: 'anchor' });
+        const [label, input] = row.appendElements(
+            { tag: 'span', className: 'anchor-label', content: `${index + 1}` },
+            { tag: 'input', attributes: { type: 'text', spellcheck: 'false' } }
+        );
+        label.style.backgroundColor = anchorColor(index);
+        input.addEventListener('input', () => input.setCustomValidity(''));
+        input.addEventListener('change', () => {
+            let latLng;
+            try {
+                latLng = parseCoordinates(this.#coordinates.querySelector('.system').value, input.value);
+            }
+            catch (err) {
+                input.setCustomValidity(err.message);
+                input.reportValidity();
+                return;
+            }
+            this.#anchors[index].setLatLng(latLng);
+            if (!this.#map.getBounds().contains(latLng))
+                this.#map.panTo(latLng);
+            this.#updateFloorplanOverlay();
+            this.#notifyChange();
+        });
+    }
+
+    // Show the current coordinates of the anchors in the selected system, leaving alone those being
+    // typed in
+    #refreshCoordinates() {
+        this.#coordinates.classList.toggle('hidden', this.#anchors === null);
+        const rows = this.#coordinates.querySelector('.rows');
+        const count = this.#anchors?.length ?? 0;
+        while (rows.children.length > count)
+            rows.lastChild.remove();
+        while (rows.children.length < count)
+            this.#createCoordinatesRow(rows.children.length);
+        const system = this.#coordinates.querySelector('.system').value;
+        this.#anchors?.forEach((anchor, i) => {
+            const input = rows.children[i].querySelector('input');
+            if (input === this.shadowRoot.activeElement)
+                return;
+            input.value = formatCoordinates(system, anchor.getLatLng());
+            input.setCustomValidity('');
+        });
+    }
+
+    // Fetch the maps stored on the server and show them as background overlays. Failures are
+    // summarized in the existing maps panel rather than interrupting the user.
+    #loadMaps() {
+        listMaps().then(ids => Promise.allSettled(ids.map(id => {
+            return getMap(id).then(data => this.#addMap(id, data));
+        }))).then(results => {
+            const rows = [...this.#mapList.children];
+            rows.sort((a, b) => a.textContent.localeCompare(b.textContent));
+            this.#mapList.append(...rows);
+            this.#reportMapErrors(results.filter(e => e.status === 'rejected').map(e => e.reason));
         }).catch(err => {
-            alert(err);
+            this.#reportMapErrors([err]);
         });
     }
 
+    // Show a server map as a background overlay, along with its entry in the existing maps panel.
+    // Multi-level projects are represented by their lowest level.
+    #addMap(id, data) {
+        if (this.#excludedMaps.has(id))
+            return;
+        const level = data.levels?.[0] ?? data;
+        const srcAnchors = [];
+        const dstAnchors = [];
+        for (const anchor of level.anchors) {
+            srcAnchors.push(new Point2(anchor.x, anchor.y));
+            dstAnchors.push(new Point2(anchor.lng, anchor.lat));
+        }
+        const model = data.transform ?? 'affine';
+        const transformation = Transformation.fit(model, srcAnchors, dstAnchors);
+        if (transformation === null)
+            throw new Error(`Map ${id} has degenerate anchors`);
+        const corners = this.#corners(transformation, new Vector2(level.width, level.height));
+        return floorplanSource(level.path).then(url => {
+            // Maps downloaded after being excluded, or once the map is discarded, are not shown
+            if (this.#excludedMaps.has(id) || !this.isConnected)
+                URL.revokeObjectURL(url);
+            else
+                this.#showMap(id, data, this.#createOverlay(model, url, corners), url, corners);
+        });
+    }
+
+    // Add the entry of a server map to the existing maps panel
+    #showMap(id, data, overlay, url, corners) {
+        const row = this.#mapList.appendElement({ tag: 'div', className: 'map' });
+        const [visible, name, zoomBtn, opacity] = row.appendElements(
+            { tag: 'input', attributes: { type: 'checkbox', checked: 'checked', title: 'Show this map' } },
+            { tag: 'span', className: 'name', attributes: { title: 'Zoom to this map' },
+              content: data.name || `Project ${id}` },
+            { tag: 'button', className: 'zoom', attributes: { title: 'Zoom to this map' }, content: '⌖' },
+            { tag: 'input', attributes: { type: 'range', min: 0, max: 1, step: .05, value: OVERLAY_OPACITY,
+                                          title: 'Opacity' } }
+        );
+        visible.addEventListener('change', () => {
+            if (visible.checked)
+                overlay.addTo(this.#map);
+            else
+                overlay.remove();
+            row.classList.toggle('hidden', !visible.checked);
+        });
+        opacity.addEventListener('input', () => overlay.setOpacity(parseFloat(opacity.value)));
+        const zoom = () => this.#map.fitBounds(L.latLngBounds(corners), { padding: [50, 50] });
+        name.addEventListener('click', zoom);
+        zoomBtn.addEventListener('click', zoom);
+
+        this.#maps.set(id, { overlay, row, url });
+        this.#refreshMapPanel();
+    }
+
+    // Summarize the maps which could not be loaded
+    #reportMapErrors(errors) {
+        this.#mapErrors.textContent = '';
+        this.#mapErrors.title = '';
+        if (errors.length > 0) {
+            this.#mapErrors.textContent = errors.length === 1 ? '1 map could not be loaded'
+                                                              : `${errors.length} maps could not be loaded`;
+            this.#mapErrors.title = errors.map(e => e.message ?? e).join('\n');
+        }
+        this.#refreshMapPanel();
+    }
+
+    // Update the title and visibility of the existing maps panel
+    #refreshMapPanel() {
+        this.#mapPanel.querySelector('summary').textContent = `Existing maps (${this.#maps.size})`;
+        this.#mapPanel.classList.toggle('hidden', this.#maps.size === 0 &&
+                                                  this.#mapErrors.textContent === '');
+    }
+
     connectedCallback() {
         document.worldMap = this;
         document.getElementById('place').addEventListener('click', this.#placeFloorplan.bind(this));
+        const footprintInput = E('input', null, { type: 'file', accept: '.geojson,.json,.kml' });
+        footprintInput.addEventListener('change', () => {
+            this.#loadFootprints(footprintInput.files[0]);
+            footprintInput.value = '';
+        });
+        document.getElementById('load-footprint').addEventListener('click', () => footprintInput.click());
+        document.getElementById('snap-footprint').addEventListener('click', this.#snapFloorplan.bind(this));
+        const backdropInput = E('input', null, { type: 'file', accept: BACKDROP_FILES, multiple: 'multiple' });
+        backdropInput.addEventListener('change', () => {
+            this.#loadBackdrop(backdropInput.files);
+            backdropInput.value = '';
+        });
+        document.getElementById('load-backdrop').addEventListener('click', () => backdropInput.click());
+        document.getElementById('remove-backdrop').addEventListener('click', this.#removeBackdrop.bind(this));
+        document.getElementById('transform-model').addEventListener('change', e => {
+            this.setModel(e.target.value);
+        });
         document.getElementById('unplace').addEventListener('click', () => {
-            this.#overlay.remove();
+            this.#overlay?.remove();
             this.#overlay = null;
             this.#anchors.forEach(e => e.remove());
             this.#anchors = null;
+            this.#transformation = null;
+            this.#residuals.classList.add('hidden');
+            this.#refreshCoordinates();
+            this.#notifyChange();
         });
     }
 
-    // Initialize the anchors on the map
-    #initAnchors() {
+    // Release the images of the server maps once the map is discarded, along with its application
+    disconnectedCallback() {
+        [...this.#maps.keys()].forEach(id => this.#removeMap(id));
+        this.#refreshMapPanel();
+    }
+
+    // Initialize the given number of anchors on the map
+    #initAnchors(count) {
+        this.#anchors?.forEach(e => e.remove());
         this.#anchors = [];
-        for (let i = 0; i < 3; i++) {
-            const anchor = L.marker({ lng: 0, lat: 0 }, {
-                draggable: true,
-                icon: L.divIcon({ className: 'anchor', iconSize: [24, 24], iconAnchor: [12, 12] })
-            }).addTo(this.#map);
-            anchor.on('drag', () =>
-              this.updateOverlay(document.floorplanContainer.getAnchors(),
-                                 document.floorplanContainer.getDimensions(),
-                                 document.floorplanContainer.getAttribute('src')));
-            this.#anchors.push(anchor);
+        for (let i = 0; i < count; i++)
+            this.#createAnchor({ lng: 0, lat: 0 });
+        this.#refreshAnchorLabels();
+    }
+
+    // Create an anchor marker at the given coordinates
+    #createAnchor(latLng) {
+        const anchor = L.marker(latLng, { draggable: true }).addTo(this.#map);
+        anchor.on('drag', this.#updateFloorplanOverlay.bind(this));
+        anchor.on('dragend', this.#notifyChange.bind(this));
+        this.#anchors.push(anchor);
+        return anchor;
+    }
+
+    // Number and color the anchor markers according to their index
+    #refreshAnchorLabels() {
+        this.#anchors.forEach((anchor, i) => {
+            anchor.setIcon(L.divIcon({ className: 'anchor', html: `${i + 1}`, iconSize: [24, 24],
+                                       iconAnchor: [12, 12] }));
+            anchor.getElement().style.backgroundColor = anchorColor(i);
+        });
+    }
+
+    // Add an anchor matching the given floorplan point, at its currently predicted position
+    addAnchor(p) {
+        if (this.#anchors === null)
+            return;
+        let latLng = this.#map.getCenter();
+        if (this.#transformation !== null) {
+            const { x, y } = this.#transformation.apply(p);
+            latLng = { lng: x, lat: y };
         }
+        this.#createAnchor(latLng);
+        this.#refreshAnchorLabels();
+        this.#updateFloorplanOverlay();
+    }
+
+    // Remove the anchor with the given index
+    removeAnchor(index) {
+        if (this.#anchors === null)
+            return;
+        this.#anchors.splice(index, 1)[0].remove();
+        this.#refreshAnchorLabels();
+        this.#updateFloorplanOverlay();
+    }
+
+    // Notify listeners that the anchors changed
+    #notifyChange() {
+        this.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    // Update the overlay of the floorplan being edited
+    #updateFloorplanOverlay() {
+        this.updateOverlay(document.floorplanContainer.getAnchors(),
+                           document.floorplanContainer.getDimensions(),
+                           document.floorplanContainer.getAttribute('src'));
+    }
+
+    // Place the anchors at the given coordinates and show them
+    setAnchors(latLngs) {
+        if (this.#anchors?.length !== latLngs.length)
+            this.#initAnchors(latLngs.length);
+        latLngs.forEach((latLng, i) => this.#anchors[i].setLatLng(latLng));
+        this.#map.fitBounds(L.latLngBounds(latLngs), { padding: [50, 50] });
+        this.#updateFloorplanOverlay();
+    }
+
+    // Set the transformation model, adding floorplan anchors if the model needs more
+    setModel(model) {
+        this.#model = model;
+        document.getElementById('transform-model').value = model;
+        document.floorplanContainer.ensureAnchors(this.minAnchors());
+
+        // The overlay implementation depends on the model, so it has to be recreated
+        this.refreshOverlay();
+        this.#notifyChange();
+    }
+
+    // Recreate the overlay of the floorplan being edited, typically after its image changed
+    refreshOverlay() {
+        this.#overlay?.remove();
+        this.#overlay = null;
+        if (this.#anchors !== null)
+            this.#updateFloorplanOverlay();
+    }
+
+    // Check whether the floorplan is placed on the map
+    isPlaced() {
+        return this.#anchors !== null;
+    }
+
+    // Get the transformation model
+    getModel() {
+        return this.#model;
+    }
+
+    // Get the minimum number of anchors required by the transformation model
+    minAnchors() {
+        return MODELS[this.#model].minAnchors;
+    }
+
+    // Exclude a server map from the background overlays, typically because it is being edited
+    excludeMap(id) {
+        this.#excludedMaps.add(id);
+        this.#removeMap(id);
+        this.#refreshMapPanel();
+    }
+
+    // Remove a server map from the background overlays and from the existing maps panel
+    #removeMap(id) {
+        const map = this.#maps.get(id);
+        if (map === undefined)
+            return;
+        map.overlay.remove();
+        map.row.remove();
+        URL.revokeObjectURL(map.url);
+        this.#maps.delete(id);
     }
 
     // Place the floorplan on the map
     #placeFloorplan() {
-        if (this.#anchors === null)
-            this.#initAnchors();
+        const floorplanAnchors = document.floorplanContainer.getAnchors();
+        if (this.#anchors?.length !== floorplanAnchors.length)
+            this.#initAnchors(floorplanAnchors.length);
 
         const rect = this.getBoundingClientRect();
         const mapRect = this.#map.getBounds();
@@ -168,8 +673,7 @@ class WorldMap extends Stylable(HTMLElement) {
         }
 
         // We can now properly interpolate the anchors
-        const floorplanAnchors = document.floorplanContainer.getAnchors();
-        for (let i = 0; i < 3; i++) {
+        for (let i = 0; i < floorplanAnchors.length; i++) {
             this.#anchors[i].setLatLng({
                 lng: box.min.x + floorplanAnchors[i].x * box.width() / fpRect.x,
                 lat: box.max.y - floorplanAnchors[i].y * box.height() / fpRect.y
@@ -177,6 +681,107 @@ class WorldMap extends Stylable(HTMLElement) {
         }
         this.updateOverlay(floorplanAnchors, fpRect,
                            document.floorplanContainer.getAttribute('src'));
+        this.#notifyChange();
+    }
+
+    // Show the building footprints of a GeoJSON or KML file as a reference layer
+    #loadFootprints(file) {
+        readFootprints(file).then(footprints => {
+            this.#footprints.forEach(e => e.layer.remove());
+            this.#footprints = footprints.map((points, i) => {
+                const layer = L.polygon(points.map(p => [p.y, p.x]), FOOTPRINT_STYLE).addTo(this.#map);
+                layer.on('click', () => this.#selectFootprint(i));
+                return { points, layer };
+            });
+            this.#selectFootprint(footprints.length === 1 ? 0 : null);
+            this.#map.fitBounds(L.featureGroup(this.#footprints.map(e => e.layer)).getBounds(),
+                                { padding: [50, 50] });
+            document.getElementById('snap-footprint').disabled = false;
+        }).catch(err => {
+            document.notificationArea.error('The footprints could not be loaded', err);
+        });
+    }
+
+    // Show a local georeferenced image, such as an orthophoto, below the floorplan overlay. The
+    // coordinate reference system is asked to the user if the files do not define a known one.
+    #loadBackdrop(files) {
+        readBackdrop(files, crs => {
+            const code = prompt(`${crs === null ? 'The coordinate reference system of the image is not defined.'
+                                                : `${crs} is not a known coordinate reference system.`} ` +
+                                'Please enter its EPSG code (e.g. 2154 for Lambert-93):');
+            if (code === null || code.trim() === '')
+                return null;
+            return /^\d+$/.test(code.trim()) ? `EPSG:${code.trim()}` : code.trim();
+        }).then(backdrop => {
+            if (backdrop === null)
+                return;
+            this.#removeBackdrop();
+            const overlay = projectiveOverlay(backdrop.url, backdrop.corners, { pane: 'backdrop' }).addTo(this.#map);
+            this.#backdrop = { overlay, url: backdrop.url };
+            this.#map.fitBounds(L.latLngBounds(backdrop.corners), { padding: [50, 50] });
+            document.getElementById('remove-backdrop').disabled = false;
+        }).catch(err => {
+            document.notificationArea.error('The backdrop could not be loaded', err);
+        });
+    }
+
+    // Remove the local backdrop, releasing its image
+    #removeBackdrop() {
+        if (this.#backdrop === null)
+            return;
+        this.#backdrop.overlay.remove();
+        URL.revokeObjectURL(this.#backdrop.url);
+        this.#backdrop = null;
+        document.getElementById('remove-backdrop').disabled = true;
+    }
+
+    // Select the footprint the floorplan should be snapped to
+    #selectFootprint(index) {
+        this.#selectedFootprint = index;
+        this.#footprints.forEach((e, i) => {
+            e.layer.setStyle(i === index ? SELECTED_FOOTPRINT_STYLE : FOOTPRINT_STYLE);
+        });
+    }
+
+    // Snap the floorplan outline onto the selected footprint, or onto the one nearest to the center
+    // of the map. The floorplan anchors are moved to the outline vertices, and the map anchors to
+    // the matching footprint vertices, so that the user can fine-tune the placement from there.
+    #snapFloorplan() {
+        const outline = document.floorplanEditor.outline();
+        if (outline === null) {
+            document.notificationArea.error('Draw the building outline in the Floorplan Editor before snapping it.');
+            return;
+        }
+        let footprint = this.#footprints[this.#selectedFootprint];
+        if (footprint === undefined) {
+            const center = this.#map.getCenter();
+            const distance = e => e.layer.getBounds().getCenter().distanceTo(center);
+            footprint = this.#footprints.reduce((best, e) => distance(e) < distance(best) ? e : best);
+            this.#selectFootprint(this.#footprints.indexOf(footprint));
+        }
+
+        const dst = footprint.points.map(toFittingPlane);
+        const m = snapPolygon(outline, dst);
+        if (m === null) {
+            document.notificationArea.error('The floorplan outline could not be matched with the footprint.');
+            return;
+        }
+
+        const box = footprint.layer.getBounds();
+        const tolerance = SNAP_TOLERANCE * toFittingPlane(new Point2(box.getWest(), box.getSouth()))
+                                           .to(toFittingPlane(new Point2(box.getEast(), box.getNorth()))).norm();
+        const anchors = spreadPoints(outline, document.floorplanContainer.getAnchors().length);
+        const latLngs = anchors.map(p => {
+            let q = applyMatrix(m, p);
+            const vertex = dst.reduce((best, e) => q.to(e).norm() < q.to(best).norm() ? e : best);
+            if (q.to(vertex).norm() < tolerance)
+                q = vertex;
+            const { x, y } = fromFittingPlane(q);
+            return { lng: x, lat: y };
+        });
+        document.floorplanContainer.setAnchors(anchors, false);
+        this.setAnchors(latLngs);
+        this.#notifyChange();
     }
 
     #getDstAnchors() {
@@ -188,56 +793,72 @@ class WorldMap extends Stylable(HTMLElement) {
         return dstAnchors;
     }
 
-    // Update the overlay with the proper viewport and transformation
-    updateOverlay(srcAnchors, srcRect, url, dstAnchors = null) {
-        this.#scale = null;
-        const anchors = dstAnchors ?? this.#getDstAnchors();
-        if (anchors.length !== 3)
-            return;
-
-        const transformation = this.#computeTransformation(srcAnchors, anchors);
-        if (transformation === null) {
-            return;
-        }
-        const corners = [
+    // Compute the top-left, top-right, bottom-right and bottom-left corners of a transformed
+    // floorplan
+    #corners(transformation, srcRect) {
+        return [
             new Point2(0, 0),
             new Point2(srcRect.x, 0),
-            new Point2(0, srcRect.y),
+            new Point2(srcRect.x, srcRect.y),
+            new Point2(0, srcRect.y)
         ].map(p => {
-            const { x, y } = transformation[0].appliedTo(p).plus(transformation[1]);
+            const { x, y } = transformation.apply(p);
             return L.latLng(y, x);
         });
+    }
+
+    // Create an overlay able to represent the given transformation model. Similarities and affine
+    // transformations only need three corners.
+    #createOverlay(model, url, corners) {
+        if (model === 'projective')
+            return projectiveOverlay(url, corners, { opacity: OVERLAY_OPACITY }).addTo(this.#map);
+        return L.imageOverlay.rotated(url, corners[0], corners[1], corners[3],
+                                      { opacity: OVERLAY_OPACITY }).addTo(this.#map);
+    }
 
-        if (dstAnchors === null)
-            this.#scale = new Vector2(srcRect.x, srcRect.y).norm() / hav(corners[1], corners[2]);
+    // Update the overlay with the proper viewport and transformation
+    updateOverlay(srcAnchors, srcRect, url) {
+        const dstAnchors = this.#getDstAnchors();
+        this.#scale = null;
+        this.#transformation = Transformation.fit(this.#model, srcAnchors, dstAnchors);
+        this.#updateResiduals(srcAnchors, dstAnchors);
+        this.#refreshCoordinates();
+        if (this.#transformation === null)
+            return;
+
+        const corners = this.#corners(this.#transformation, srcRect);
+        this.#scale = new Vector2(srcRect.x, srcRect.y).norm() / hav(corners[1], corners[3]);
 
         if (this.#overlay === null)
-            this.#overlay = L.imageOverlay.rotated(url, ...corners,
-                                                   { opacity: .7 }).addTo(this.#map);
+            this.#overlay = this.#createOverlay(this.#model, url, corners);
+        else if (this.#model === 'projective')
+            this.#overlay.reposition(corners);
         else
-            this.#overlay.reposition(...corners);
+            this.#overlay.reposition(corners[0], corners[1], corners[3]);
     }
 
-    // Compute the transformation matrix
-    #computeTransformation(src, dst) {
-        const srcV1 = src[0].to(src[1]);
-        const srcV2 = src[0].to(src[2]);
-        const dstV1 = dst[0].to(dst[1]);
-        const dstV2 = dst[0].to(dst[2]);
-        const det = srcV1.cross(srcV2);
-
-        // Return early if the anchors are colinear
-        if (Math.abs(det) < 1e-12) {
-            return null;
+    // Display the residual of each anchor and their root mean square
+    #updateResiduals(src, dst) {
+        this.#residuals.replaceChildren();
+        if (this.#transformation === null || src.length !== dst.length) {
+            this.#residuals.classList.add('hidden');
+            return;
         }
-
-        const a = (dstV1.x * srcV2.y - dstV2.x * srcV1.y) / det;
-        const c = (dstV1.y * srcV2.y - dstV2.y * srcV1.y) / det;
-        const b = (-dstV1.x * srcV2.x + dstV2.x * srcV1.x) / det;
-        const d = (-dstV1.y * srcV2.x + dstV2.y * srcV1.x) / det;
-        const dx = dst[0].x - a * src[0].x - b * src[0].y;
-        const dy = dst[0].y - c * src[0].x - d * src[0].y;
-        return [new Matrix2(a, b, c, d), new Vector2(dx, dy)];
+        this.#residuals.classList.remove('hidden');
+        const { errors, rms } = this.#transformation.residuals(src, dst);
+        errors.forEach((error, i) => {
+            const row = this.#residuals.appendElement({ tag: 'div', className: 'residual' });
+            row.appendElements(
+                { tag: 'span', className: 'anchor-label', content: `${i + 1}` },
+                { tag: 'span', className: 'value', content: `${error.toFixed(2)} m` }
+            );
+            row.firstChild.style.backgroundColor = anchorColor(i);
+        });
+        const total = this.#residuals.appendElement({ tag: 'div', className: 'residual rms' });
+        total.appendElements(
+            { tag: 'span', content: 'RMS error' },
+            { tag: 'span', className: 'value', content: `${rms.toFixed(2)} m` }
+        );
     }
 
     // Get an approximate pixel/meter scale
@@ -245,9 +866,40 @@ class WorldMap extends Stylable(HTMLElement) {
         return this.#scale;
     }
 
-    // Return serialized data
+    // Fit the transformation of a floorplan from its anchors, which must match the map anchors.
+    // Return null if the floorplan is not placed, or if its anchors are degenerate.
+    fitTransformation(srcAnchors) {
+        if (this.#anchors === null)
+            return null;
+        return Transformation.fit(this.#model, srcAnchors, this.#getDstAnchors());
+    }
+
+    // Return the anchors as they are placed by the transformation fitted on them, so that the
+    // submitted anchors describe the transformation exactly. The floorplan anchors may belong to
+    // any level of the project, as long as they match the map anchors. Fewer than three anchors
+    // cannot describe a transformation without ambiguity, so an extra anchor is then derived from
+    // the first two.
+    fittedAnchors(srcAnchors) {
+        const transformation = this.fitTransformation(srcAnchors);
+        if (transformation === null)
+            return [];
+        const src = [...srcAnchors];
+        if (src.length === 2) {
+            const v = src[0].to(src[1]);
+            src.push(new Point2(src[0].x - v.y, src[0].y + v.x));
+        }
+        return src.map(p => {
+            const { x: lng, y: lat } = transformation.apply(p);
+            return { x: p.x, y: p.y, lng, lat };
+        });
+    }
+
+    // Return serialized data: the WGS84 coordinates of the anchors
     toJSON() {
-        return this.#anchors.map(e => e.getLatLng());
+        return (this.#anchors ?? []).map(e => {
+            const { lng, lat } = e.getLatLng();
+            return { lng, lat };
+        });
     }
 }
 
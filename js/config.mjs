@@ -0,0 +1,216 @@
+// This module loads and validates the runtime configuration of the OpMode, from `config.json`.
+// Missing optional settings are filled with their defaults, so that the rest of the application can
+// rely on a complete configuration.
+
+const CONFIG_URL = '/config.json';
+const AUTH_TYPES = ['bearer', 'oidc'];
+const LAYER_TYPES = ['xyz', 'wmts'];
+
+// Optional features, all enabled by default
+export const FEATURES = {
+    pdf: 'PDF floorplans',
+    cad: 'SVG and DXF floorplans',
+    levels: 'Multi-level projects',
+    footprints: 'Building footprints',
+    export: 'GeoJSON export',
+    existingMaps: 'Existing maps on the world map'
+};
+
+const DEFAULTS = {
+    map: { center: [48.383313, -4.497187], zoom: 14, layers: {}, replaceLayers: false, defaultLayer: null },
+    uploads: { maxSize: null },
+    features: Object.fromEntries(Object.keys(FEATURES).map(e => [e, true]))
+};
+
+let config = null;
+
+
+// An invalid configuration, along with the list of problems found in it
+export class ConfigError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+
+// Collect the problems of a configuration value. Each check is a [condition, message] pair, the
+// message being reported if the condition does not hold.
+function check(problems, path, checks) {
+    for (const [condition, message] of checks) {
+        if (!condition) {
+            problems.push(`\`${path}\` ${message}`);
+            return false;
+        }
+    }
+    return true;
+}
+
+// Check whether a value is a plain object
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Check whether a value is an absolute or root-relative URL
+function isURL(value) {
+    if (typeof value !== 'string')
+        return false;
+    try {
+        new URL(value, location.origin);
+        return true;
+    }
+    catch {
+        return false;
+    }
+}
+
+// Check the authentication settings
+function validateAuth(auth, problems) {
+    if (!check(problems, 'auth', [[isObject(auth), 'must be an object'],
+                                  [AUTH_TYPES.includes(auth?.type), `type must be one of ${AUTH_TYPES.join(', ')}`]]))
+        return;
+    if (auth.type === 'oidc') {
+        check(problems, 'auth.issuer', [[isURL(auth.issuer), 'must be a URL']]);
+        check(problems, 'auth.clientId', [[typeof auth.clientId === 'string' && auth.clientId !== '',
+                                           'must be a non-empty string']]);
+    }
+}
+
+// Check a tile layer definition
+function validateLayer(id, layer, problems) {
+    const path = `map.layers.${id}`;
+    if (!check(problems, path, [[isObject(layer), 'must be an object']]))
+        return;
+    const type = layer.type ?? 'xyz';
+    check(problems, `${path}.type`, [[LAYER_TYPES.includes(type), `must be one of ${LAYER_TYPES.join(', ')}`]]);
+    check(problems, `${path}.url`, [[isURL(layer.url), 'must be a URL']]);
+    check(problems, `${path}.name`, [[layer.name === undefined || typeof layer.name === 'string',
+                                      'must be a string']]);
+    check(problems, `${path}.maxZoom`, [[layer.maxZoom === undefined || Number.isInteger(layer.maxZoom),
+                                         'must be an integer']]);
+    check(problems, `${path}.params`, [[layer.params === undefined || isObject(layer.params),
+                                        'must be an object']]);
+    if (type === 'wmts')
+        check(problems, `${path}.layer`, [[typeof layer.layer === 'string', 'must be the WMTS layer name']]);
+}
+
+// Check the map settings
+function validateMap(map, problems) {
+    if (!check(problems, 'map', [[isObject(map), 'must be an object']]))
+        return;
+    if (map.center !== undefined) {
+        const [lat, lng] = Array.isArray(map.center) ? map.center : [];
+        check(problems, 'map.center', [[Array.isArray(map.center) && map.center.length === 2,
+                                        'must be a [latitude, longitude] pair'],
+                                       [Math.abs(lat) <= 90 && Math.abs(lng) <= 180, 'is out of bounds']]);
+    }
+    if (map.zoom !== undefined)
+        check(problems, 'map.zoom', [[Number.isInteger(map.zoom) && map.zoom >= 0, 'must be a positive integer']]);
+    if (map.layers !== undefined && check(problems, 'map.layers', [[isObject(map.layers), 'must be an object']])) {
+        for (const [id, layer] of Object.entries(map.layers))
+            validateLayer(id, layer, problems);
+    }
+    if (map.replaceLayers !== undefined)
+        check(problems, 'map.replaceLayers', [[typeof map.replaceLayers === 'boolean', 'must be a boolean']]);
+    if (map.replaceLayers === true)
+        check(problems, 'map.layers', [[Object.keys(map.layers ?? {}).length > 0,
+                                        'must not be empty if the default layers are replaced']]);
+    if (map.defaultLayer !== undefined)
+        check(problems, 'map.defaultLayer', [[typeof map.defaultLayer === 'string', 'must be a layer identifier']]);
+}
+
+// Check a wall material definition. Every setting is optional, so that default materials can be
+// partially overridden.
+function validateMaterial(id, material, problems) {
+    const path = `materials.${id}`;
+    if (!check(problems, path, [[isObject(material), 'must be an object']]))
+        return;
+    for (const key of ['name', 'color'])
+        check(problems, `${path}.${key}`, [[material[key] === undefined || typeof material[key] === 'string',
+                                            'must be a string']]);
+    check(problems, `${path}.attenuation`, [[material.attenuation === undefined || material.attenuation >= 0,
+                                             'must be a positive number of dB']]);
+    check(problems, `${path}.thickness`, [[material.thickness === undefined || material.thickness > 0,
+                                           'must be a positive number of meters']]);
+}
+
+// Check the configuration and fill in the defaults
+function validate(data) {
+    const problems = [];
+    if (!check(problems, 'config.json', [[isObject(data), 'must contain a JSON object']]))
+        throw new ConfigError('Invalid configuration', problems);
+
+    check(problems, 'api', [[data.api !== undefined, 'is required'], [isURL(data.api), 'must be a URL']]);
+    if (data.auth !== undefined)
+        validateAuth(data.auth, problems);
+    if (data.map !== undefined)
+        validateMap(data.map, problems);
+    if (data.uploads !== undefined && check(problems, 'uploads', [[isObject(data.uploads), 'must be an object']])) {
+        const { maxSize } = data.uploads;
+        check(problems, 'uploads.maxSize', [[maxSize === undefined || maxSize === null || maxSize > 0,
+                                             'must be a positive number of megabytes']]);
+    }
+    if (data.features !== undefined && check(problems, 'features', [[isObject(data.features), 'must be an object']])) {
+        for (const [feature, enabled] of Object.entries(data.features)) {
+            check(problems, `features.${feature}`, [[feature in FEATURES, 'is not a known feature'],
+                                                    [typeof enabled === 'boolean', 'must be a boolean']]);
+        }
+    }
+    if (data.projections !== undefined &&
+        check(problems, 'projections', [[isObject(data.projections), 'must be an object']])) {
+        for (const [code, definition] of Object.entries(data.projections)) {
+            check(problems, `projections.${code}`, [[typeof definition === 'string',
+                                                     'must be a proj4 or WKT definition']]);
+        }
+    }
+    if (data.materials !== undefined &&
+        check(problems, 'materials', [[isObject(data.materials), 'must be an object']])) {
+        for (const [id, material] of Object.entries(data.materials))
+            validateMaterial(id, material, problems);
+    }
+    if (problems.length > 0)
+        throw new ConfigError('Invalid configuration', problems);
+
+    return {
+        ...data,
+        api: data.api.replace(/\/$/, ''),
+        auth: data.auth ?? null,
+        map: { ...DEFAULTS.map, ...data.map },
+        uploads: { ...DEFAULTS.uploads, ...data.uploads },
+        features: { ...DEFAULTS.features, ...data.features },
+        projections: data.projections ?? {},
+        materials: data.materials ?? {}
+    };
+}
+
+
+// Fetch and validate the configuration
+export function loadConfig() {
+    return fetch(CONFIG_URL).catch(err => {
+        throw new ConfigError(`${CONFIG_URL} could not be loaded`, [err.message]);
+    }).then(response => {
+        if (!response.ok)
+            throw new ConfigError(`${CONFIG_URL} could not be loaded`, [`HTTP ${response.status} ${response.statusText}`]);
+        return response.text();
+    }).then(text => {
+        try {
+            return JSON.parse(text);
+        }
+        catch (err) {
+            throw new ConfigError(`${CONFIG_URL} is not valid JSON`, [err.message]);
+        }
+    }).then(data => config = validate(data));
+}
+
+
+// Get the configuration. It must have been loaded.
+export function getConfig() {
+    return config;
+}
+
+
+// Check whether an optional feature is enabled
+export function hasFeature(feature) {
+    return config.features[feature];
+}
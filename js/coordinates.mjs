@@ -0,0 +1,144 @@
+// This module parses and formats the WGS84 coordinates of map anchors in the notations surveyors use:
+// decimal degrees, degrees-minutes-seconds, UTM, or the coordinates of any known reference system,
+// such as a national grid.
+
+import { fromLngLat, isGeographic, knownProjections, toLngLat } from '/js/projections.mjs';
+
+
+const DECIMAL = 'decimal';
+const DMS = 'dms';
+const UTM = 'utm';
+const DEGREE_DIGITS = 7;         // Decimals of degrees, about 1 cm
+const SECOND_DIGITS = 3;         // Decimals of seconds, about 3 cm
+const METER_DIGITS = 3;          // Decimals of projected coordinates, assumed to be meters
+const NUMBER = '[-+]?\\d+(?:[.,]\\d+)?';
+const DMS_PART = new RegExp(`(${NUMBER})\\s*[°º]?\\s*(?:(${NUMBER})\\s*['′’]?\\s*)?` +
+                            `(?:(${NUMBER})\\s*(?:["″”]|'')?\\s*)?([NSEW])`, 'gi');
+const UTM_COORDINATES = new RegExp(`^(\\d{1,2})\\s*([NS])[\\s,;]+(${NUMBER})[\\s,;]+(${NUMBER})$`, 'i');
+
+
+// List the systems coordinates can be entered in, as [value, name] pairs
+export function coordinateSystems() {
+    return [
+        [DECIMAL, 'WGS 84 (decimal degrees)'],
+        [DMS, 'WGS 84 (degrees, minutes, seconds)'],
+        [UTM, 'WGS 84 / UTM'],
+        ...knownProjections().filter(([code]) => code !== 'EPSG:4326')
+    ];
+}
+
+
+// Parse a number, accepting a decimal comma
+function parseNumber(text) {
+    return parseFloat(text.replace(',', '.'));
+}
+
+// Split a pair of coordinates, separated by a semicolon, a comma followed by a space, or spaces
+function splitPair(text) {
+    const parts = text.trim().split(/\s*;\s*|,\s+|\s+/);
+    if (parts.length !== 2 || parts.some(e => !new RegExp(`^${NUMBER}$`).test(e)))
+        throw new Error('Please enter two numbers');
+    return parts.map(parseNumber);
+}
+
+// Check that WGS84 coordinates are within bounds
+function checkLatLng(lat, lng) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180)
+        throw new Error('The coordinates are out of bounds');
+    return { lat, lng };
+}
+
+
+// Format an angle in degrees, minutes and seconds, with the hemisphere letter
+function formatDMS(angle, positive, negative) {
+    const scale = 10 ** SECOND_DIGITS;
+    const total = Math.round(Math.abs(angle) * 3600 * scale);
+    const degrees = Math.floor(total / (3600 * scale));
+    const minutes = Math.floor(total / (60 * scale)) % 60;
+    const seconds = (total % (60 * scale)) / scale;
+    return `${degrees}°${minutes}′${seconds.toFixed(SECOND_DIGITS)}″${angle < 0 ? negative : positive}`;
+}
+
+// Parse a latitude and a longitude in degrees, minutes and seconds, each followed by its hemisphere
+// letter, e.g. `48°22′59.9″N 4°29′50.2″W`. Minutes and seconds are optional.
+function parseDMS(text) {
+    const angles = {};
+    for (const [, degrees, minutes, seconds, hemisphere] of text.matchAll(DMS_PART)) {
+        const letter = hemisphere.toUpperCase();
+        const axis = 'NS'.includes(letter) ? 'lat' : 'lng';
+        if (axis in angles)
+            throw new Error('Please enter one latitude and one longitude');
+        const angle = Math.abs(parseNumber(degrees)) + parseNumber(minutes ?? '0') / 60 +
+                      parseNumber(seconds ?? '0') / 3600;
+        angles[axis] = 'SW'.includes(letter) ? -angle : angle;
+    }
+    if (!('lat' in angles && 'lng' in angles))
+        throw new Error('Please enter a latitude and a longitude, followed by their hemisphere (N, S, E or W)');
+    return checkLatLng(angles.lat, angles.lng);
+}
+
+
+// Get the EPSG code of a WGS84 UTM zone
+function utmCode(zone, south) {
+    return `EPSG:${south ? 327 : 326}${String(zone).padStart(2, '0')}`;
+}
+
+// Format coordinates in the UTM zone they lie in, as the zone number and hemisphere followed by the
+// easting and northing, e.g. `30N 389147.887 5359988.195`
+function formatUTM({ lat, lng }) {
+    const zone = Math.min(Math.floor((lng + 180) / 6) + 1, 60);
+    const [x, y] = fromLngLat(utmCode(zone, lat < 0), lng, lat);
+    return `${zone}${lat < 0 ? 'S' : 'N'} ${x.toFixed(METER_DIGITS)} ${y.toFixed(METER_DIGITS)}`;
+}
+
+// Parse UTM coordinates, as formatted by formatUTM
+function parseUTM(text) {
+    const match = text.trim().match(UTM_COORDINATES);
+    if (match === null) {
+        throw new Error('Please enter the zone and hemisphere, the easting and the northing, ' +
+                        'e.g. 30N 389148 5359988');
+    }
+    const [, zone, hemisphere, x, y] = match;
+    if (parseInt(zone) < 1 || parseInt(zone) > 60)
+        throw new Error('UTM zones range from 1 to 60');
+    const [lng, lat] = toLngLat(utmCode(parseInt(zone), hemisphere.toUpperCase() === 'S'),
+                                parseNumber(x), parseNumber(y));
+    return checkLatLng(lat, lng);
+}
+
+
+// Format WGS84 coordinates in a system
+export function formatCoordinates(system, { lat, lng }) {
+    if (system === DECIMAL)
+        return `${lat.toFixed(DEGREE_DIGITS)}, ${lng.toFixed(DEGREE_DIGITS)}`;
+    if (system === DMS)
+        return `${formatDMS(lat, 'N', 'S')} ${formatDMS(lng, 'E', 'W')}`;
+    if (system === UTM)
+        return formatUTM({ lat, lng });
+    const [x, y] = fromLngLat(system, lng, lat);
+    // Geographic systems are written latitude first, like WGS84 decimal degrees
+    if (isGeographic(system))
+        return `${y.toFixed(DEGREE_DIGITS)}, ${x.toFixed(DEGREE_DIGITS)}`;
+    return `${x.toFixed(METER_DIGITS)}, ${y.toFixed(METER_DIGITS)}`;
+}
+
+
+// Parse coordinates of a system into WGS84 ones. Throw an error describing the expected notation if
+// they are invalid.
+export function parseCoordinates(system, text) {
+    if (system === DECIMAL) {
+        const [lat, lng] = splitPair(text);
+        return checkLatLng(lat, lng);
+    }
+    if (system === DMS)
+        return parseDMS(text);
+    if (system === UTM)
+        return parseUTM(text);
+    if (isGeographic(system)) {
+        const [lat, lng] = splitPair(text);
+        const [x, y] = toLngLat(system, lng, lat);
+        return checkLatLng(y, x);
+    }
+    const [lng, lat] = toLngLat(system, ...splitPair(text));
+    return checkLatLng(lat, lng);
+}
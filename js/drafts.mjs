@@ -0,0 +1,47 @@
+// This module persists unfinished project drafts in IndexedDB
+
+const DB_NAME = '0wm-opmode';
+const DB_VERSION = 1;
+const STORE = 'drafts';
+
+
+// Wrap an IndexedDB request into a promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.addEventListener('success', () => resolve(request.result));
+        request.addEventListener('error', () => reject(request.error));
+    });
+}
+
+// Open the database, creating the draft store if needed
+function openDatabase() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.addEventListener('upgradeneeded', () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+    });
+    return promisify(request);
+}
+
+// Run a single request on the draft store
+function withStore(mode, callback) {
+    return openDatabase().then(db => {
+        const result = promisify(callback(db.transaction(STORE, mode).objectStore(STORE)));
+        return result.finally(() => db.close());
+    });
+}
+
+// Save a draft, replacing any previous version with the same identifier
+export function saveDraft(draft) {
+    return withStore('readwrite', store => store.put({ ...draft, updated: Date.now() }));
+}
+
+// List every saved draft, the most recent first
+export function listDrafts() {
+    return withStore('readonly', store => store.getAll())
+        .then(drafts => drafts.sort((a, b) => b.updated - a.updated));
+}
+
+// Delete a draft
+export function deleteDraft(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
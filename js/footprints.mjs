@@ -0,0 +1,63 @@
+// This module reads building footprints from GeoJSON and KML files. A footprint is the exterior
+// ring of a polygon, as a list of (longitude, latitude) points without the closing point.
+
+import { Point2 } from '/js/linalg.mjs';
+
+
+// Convert a list of coordinates to a footprint
+function toFootprint(coordinates) {
+    const points = coordinates.map(([lng, lat]) => new Point2(lng, lat));
+    const first = points[0];
+    const last = points.at(-1);
+    if (points.length > 1 && first.x === last.x && first.y === last.y)
+        points.pop();
+    return points;
+}
+
+// Collect the footprints of a GeoJSON object
+function geoJSONFootprints(object) {
+    switch (object?.type) {
+        case 'FeatureCollection':
+            return object.features.flatMap(geoJSONFootprints);
+        case 'Feature':
+            return geoJSONFootprints(object.geometry);
+        case 'GeometryCollection':
+            return object.geometries.flatMap(geoJSONFootprints);
+        case 'Polygon':
+            return [toFootprint(object.coordinates[0])];
+        case 'MultiPolygon':
+            return object.coordinates.map(polygon => toFootprint(polygon[0]));
+    }
+    return [];
+}
+
+// Collect the footprints of a KML document
+function kmlFootprints(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.querySelector('parsererror') !== null)
+        throw new Error('Invalid KML file');
+    return [...doc.getElementsByTagNameNS('*', 'outerBoundaryIs')].map(boundary => {
+        const coordinates = boundary.getElementsByTagNameNS('*', 'coordinates')[0]?.textContent ?? '';
+        return toFootprint(coordinates.trim().split(/\s+/).map(e => e.split(',').map(parseFloat)));
+    });
+}
+
+
+// Read the footprints of a GeoJSON or KML file, ignoring the ones which are not polygons
+export function readFootprints(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    return file.text().then(text => {
+        let footprints;
+        if (extension === 'kml')
+            footprints = kmlFootprints(text);
+        else if (extension === 'geojson' || extension === 'json')
+            footprints = geoJSONFootprints(JSON.parse(text));
+        else
+            throw new Error('Invalid file. Please select a GeoJSON or KML file.');
+
+        footprints = footprints.filter(e => e.length > 2);
+        if (footprints.length === 0)
+            throw new Error('The file contains no building footprint');
+        return footprints;
+    });
+}
@@ -0,0 +1,65 @@
+// This module converts georeferenced projects to GeoJSON
+
+import { Point2 } from '/js/linalg.mjs';
+import { shapeEdges, shapePoints } from '/js/materials.mjs';
+
+const PRECISION = 7; // Number of decimals of exported coordinates, about 1 cm
+
+
+// Convert a floorplan point to rounded GeoJSON coordinates
+function coordinates(transformation, p) {
+    const { x, y } = transformation.apply(new Point2(p.x, p.y));
+    return [parseFloat(x.toFixed(PRECISION)), parseFloat(y.toFixed(PRECISION))];
+}
+
+// Convert a floorplan polygon to a closed GeoJSON ring. Exterior rings are counterclockwise, as
+// mandated by RFC 7946.
+function ring(transformation, points) {
+    const ring = points.map(p => coordinates(transformation, p));
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[(i + 1) % ring.length];
+        area += x1 * y2 - x2 * y1;
+    }
+    if (area < 0)
+        ring.reverse();
+    ring.push(ring[0]);
+    return ring;
+}
+
+// Create a GeoJSON feature
+function feature(geometry, properties) {
+    return { type: 'Feature', geometry, properties };
+}
+
+
+// Convert a project to a GeoJSON feature collection. Each level comes with its serialized editor
+// data, its altitude range and the transformation mapping its floorplan to (longitude, latitude)
+// points; levels without a transformation are skipped. Every feature is tagged with its kind
+// (footprint, structure or wall), the project and level names, and the level altitude range. Walls
+// also carry their material, attenuation, thickness, notes and openings, and structure polygons their
+// room, if any.
+export function toGeoJSON(name, levels) {
+    const features = [];
+    for (const level of levels) {
+        const { transformation } = level;
+        if (transformation === null)
+            continue;
+        const properties = kind => ({ kind, name, level: level.name,
+                                      zmin: level.zmin ?? null, zmax: level.zmax ?? null });
+
+        const { width, height } = level.floorplan;
+        const corners = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+        features.push(feature({ type: 'Polygon', coordinates: [ring(transformation, corners)] },
+                              properties('footprint')));
+        for (const polygon of level.structure ?? [])
+            features.push(feature({ type: 'Polygon', coordinates: [ring(transformation, shapePoints(polygon))] },
+                                  { ...properties('structure'), room: polygon.room ?? null }));
+        for (const wall of level.walls ?? [])
+            features.push(feature({ type: 'LineString',
+                                    coordinates: shapePoints(wall).map(p => coordinates(transformation, p)) },
+                                  { ...properties('wall'), ...shapeEdges(wall)[0] }));
+    }
+    return { type: 'FeatureCollection', name, features };
+}
@@ -0,0 +1,324 @@
+// This module implements the transformations used to georeference floorplans
+
+import { Point2 } from '/js/linalg.mjs';
+
+const AVERAGE_EARTH_RADIUS = 6_371_008.771
+const MERCATOR_RADIUS = 6_378_137;
+const ANCHOR_COLORS = ['#e11', '#1b1', '#11f', '#e80', '#a1c', '#099', '#c15', '#680'];
+const SNAP_EDGES = 8;       // Number of longest polygon edges used to guess a snapping
+const SNAP_ITERATIONS = 30; // Maximum number of refinement iterations of a snapping guess
+
+// Supported transformation models, along with the minimum number of anchors they require
+export const MODELS = {
+    similarity: { name: 'Similarity (no shear)', minAnchors: 2 },
+    affine: { name: 'Affine', minAnchors: 3 },
+    projective: { name: 'Projective', minAnchors: 4 }
+};
+
+
+// Compute a degree cosinus
+function dcos(a) {
+    return Math.cos(a * Math.PI / 180);
+}
+
+// Compute the Haversine distance between two points
+export function hav(p1, p2) {
+    return Math.asin(Math.sqrt ((1 - dcos(p2.lat - p1.lat) + dcos(p1.lat) * dcos(p2.lat) *
+                                 (1 - dcos(p2.lng - p1.lng))) / 2)) * 2 * AVERAGE_EARTH_RADIUS;
+}
+
+// Get the display color of an anchor
+export function anchorColor(index) {
+    return ANCHOR_COLORS[index % ANCHOR_COLORS.length];
+}
+
+// Project a (longitude, latitude) point to spherical Web Mercator
+export function mercator(p) {
+    return new Point2(MERCATOR_RADIUS * p.x * Math.PI / 180,
+                      MERCATOR_RADIUS * Math.log(Math.tan(Math.PI / 4 + p.y * Math.PI / 360)));
+}
+
+// Unproject a spherical Web Mercator point to a (longitude, latitude) point
+export function unmercator(p) {
+    return new Point2(p.x / MERCATOR_RADIUS * 180 / Math.PI,
+                      (2 * Math.atan(Math.exp(p.y / MERCATOR_RADIUS)) - Math.PI / 2) * 180 / Math.PI);
+}
+
+// Project a (longitude, latitude) point to the plane in which transformations are fitted. It is
+// Web Mercator, flipped vertically so that its y axis points downwards like floorplan ones:
+// otherwise, similarities could not map floorplans without mirroring them.
+export function toFittingPlane(p) {
+    const { x, y } = mercator(p);
+    return new Point2(x, -y);
+}
+
+// Unproject a point of the fitting plane to a (longitude, latitude) point
+export function fromFittingPlane(p) {
+    return unmercator(new Point2(p.x, -p.y));
+}
+
+// Compute the centroid of a list of points
+function centroid(points) {
+    const x = points.reduce((acc, p) => acc + p.x, 0) / points.length;
+    const y = points.reduce((acc, p) => acc + p.y, 0) / points.length;
+    return new Point2(x, y);
+}
+
+// Multiply two 3×3 matrices
+function multiply(m, n) {
+    return m.map(row => [0, 1, 2].map(j => row[0] * n[0][j] + row[1] * n[1][j] + row[2] * n[2][j]));
+}
+
+// Apply a 3×3 homogeneous matrix to a point
+export function applyMatrix(h, p) {
+    const w = h[2][0] * p.x + h[2][1] * p.y + h[2][2];
+    return new Point2((h[0][0] * p.x + h[0][1] * p.y + h[0][2]) / w,
+                      (h[1][0] * p.x + h[1][1] * p.y + h[1][2]) / w);
+}
+
+// Solve the linear system A·x = b with Gaussian elimination and partial pivoting. Return null if
+// the system is singular.
+function solve(a, b) {
+    const n = b.length;
+    const m = a.map((row, i) => [...row, b[i]]);
+    const scale = Math.max(...m.flat().map(Math.abs), 1);
+    for (let k = 0; k < n; k++) {
+        let pivot = k;
+        for (let i = k + 1; i < n; i++) {
+            if (Math.abs(m[i][k]) > Math.abs(m[pivot][k]))
+                pivot = i;
+        }
+        if (Math.abs(m[pivot][k]) < 1e-12 * scale)
+            return null;
+        [m[k], m[pivot]] = [m[pivot], m[k]];
+        for (let i = k + 1; i < n; i++) {
+            const f = m[i][k] / m[k][k];
+            for (let j = k; j <= n; j++)
+                m[i][j] -= f * m[k][j];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = m[i][n];
+        for (let j = i + 1; j < n; j++)
+            sum -= m[i][j] * x[j];
+        x[i] = sum / m[i][i];
+    }
+    return x;
+}
+
+// Fit a similarity (uniform scale, rotation and translation) in the least-squares sense
+function fitSimilarity(src, dst) {
+    const srcCtr = centroid(src);
+    const dstCtr = centroid(dst);
+    let norm = 0, dot = 0, cross = 0;
+    for (let i = 0; i < src.length; i++) {
+        const s = srcCtr.to(src[i]);
+        const d = dstCtr.to(dst[i]);
+        norm += s.x * s.x + s.y * s.y;
+        dot += s.x * d.x + s.y * d.y;
+        cross += s.x * d.y - s.y * d.x;
+    }
+
+    // Return early if the anchors are coincident
+    if (norm < 1e-12)
+        return null;
+
+    const a = dot / norm;
+    const b = cross / norm;
+    return [[a, -b, dstCtr.x - a * srcCtr.x + b * srcCtr.y],
+            [b, a, dstCtr.y - b * srcCtr.x - a * srcCtr.y],
+            [0, 0, 1]];
+}
+
+// Fit an affine transformation in the least-squares sense
+function fitAffine(src, dst) {
+    // Work on centered coordinates for better numerical stability
+    const srcCtr = centroid(src);
+    const dstCtr = centroid(dst);
+    let sxx = 0, sxy = 0, syy = 0;
+    let uxx = 0, uxy = 0, uyx = 0, uyy = 0;
+    for (let i = 0; i < src.length; i++) {
+        const s = srcCtr.to(src[i]);
+        const d = dstCtr.to(dst[i]);
+        sxx += s.x * s.x;
+        sxy += s.x * s.y;
+        syy += s.y * s.y;
+        uxx += d.x * s.x;
+        uxy += d.x * s.y;
+        uyx += d.y * s.x;
+        uyy += d.y * s.y;
+    }
+
+    // Return early if the anchors are colinear
+    const det = sxx * syy - sxy * sxy;
+    if (Math.abs(det) < 1e-12 * Math.max(1, sxx * syy))
+        return null;
+
+    // Solve the normal equations [a b; c d] · S = U, with S the source scatter matrix
+    const a = (uxx * syy - uxy * sxy) / det;
+    const b = (uxy * sxx - uxx * sxy) / det;
+    const c = (uyx * syy - uyy * sxy) / det;
+    const d = (uyy * sxx - uyx * sxy) / det;
+    return [[a, b, dstCtr.x - a * srcCtr.x - b * srcCtr.y],
+            [c, d, dstCtr.y - c * srcCtr.x - d * srcCtr.y],
+            [0, 0, 1]];
+}
+
+// Compute the normalizing similarity of a point set, so that its centroid lies at the origin and
+// its average distance to the origin is √2, along with its inverse
+function normalization(points) {
+    const ctr = centroid(points);
+    const mean = points.reduce((acc, p) => acc + ctr.to(p).norm(), 0) / points.length;
+    const s = mean > 0 ? Math.SQRT2 / mean : 1;
+    return [[[s, 0, -s * ctr.x], [0, s, -s * ctr.y], [0, 0, 1]],
+            [[1 / s, 0, ctr.x], [0, 1 / s, ctr.y], [0, 0, 1]]];
+}
+
+// Fit a projective transformation in the least-squares sense, using a normalized direct linear
+// transformation
+function fitProjective(src, dst) {
+    const [srcNorm,] = normalization(src);
+    const [dstNorm, dstDenorm] = normalization(dst);
+    const s = src.map(p => applyMatrix(srcNorm, p));
+    const d = dst.map(p => applyMatrix(dstNorm, p));
+
+    // Accumulate the normal equations of the DLT system, with h₃₃ = 1
+    const ata = Array.from({ length: 8 }, () => new Array(8).fill(0));
+    const atb = new Array(8).fill(0);
+    for (let i = 0; i < s.length; i++) {
+        const { x, y } = s[i];
+        const { x: u, y: v } = d[i];
+        for (const [row, rhs] of [[[x, y, 1, 0, 0, 0, -u * x, -u * y], u],
+                                  [[0, 0, 0, x, y, 1, -v * x, -v * y], v]]) {
+            for (let j = 0; j < 8; j++) {
+                atb[j] += row[j] * rhs;
+                for (let k = 0; k < 8; k++)
+                    ata[j][k] += row[j] * row[k];
+            }
+        }
+    }
+
+    const h = solve(ata, atb);
+    if (h === null)
+        return null;
+    return multiply(dstDenorm, multiply([[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]],
+                                        srcNorm));
+}
+
+// Fit a transformation of the given model mapping the source points onto the destination points
+// in the least-squares sense. The result is a 3×3 homogeneous matrix, or null if there are not
+// enough anchors or if they are degenerate.
+export function fitMatrix(model, src, dst) {
+    if (src.length < MODELS[model].minAnchors || src.length !== dst.length)
+        return null;
+    switch (model) {
+        case 'similarity':
+            return fitSimilarity(src, dst);
+        case 'affine':
+            return fitAffine(src, dst);
+        case 'projective':
+            return fitProjective(src, dst);
+    }
+    return null;
+}
+
+// Get the index of the point of a list closest to a given point
+function nearest(points, p) {
+    let best = 0;
+    let bestDistance = Infinity;
+    points.forEach((q, i) => {
+        const d = p.to(q).norm();
+        if (d < bestDistance) {
+            best = i;
+            bestDistance = d;
+        }
+    });
+    return best;
+}
+
+// Get the longest edges of a polygon, as pairs of points
+function longestEdges(points, count) {
+    return points.map((p, i) => [p, points[(i + 1) % points.length]])
+                 .sort(([p1, q1], [p2, q2]) => p2.to(q2).norm() - p1.to(q1).norm())
+                 .slice(0, count);
+}
+
+// Match the vertices of two polygons which are nearest to each other both ways
+function mutualPairs(src, dst) {
+    const backward = dst.map(p => nearest(src, p));
+    return src.map((p, i) => [i, nearest(dst, p)]).filter(([i, j]) => backward[j] === i);
+}
+
+// Compute the symmetric chamfer distance between two polygons, that is the sum of the squared
+// distances between each vertex and the nearest vertex of the other polygon
+function chamfer(src, dst) {
+    return src.reduce((acc, p) => acc + p.to(dst[nearest(dst, p)]).norm() ** 2, 0) +
+           dst.reduce((acc, p) => acc + p.to(src[nearest(src, p)]).norm() ** 2, 0);
+}
+
+// Find the similarity best mapping a polygon onto another one by matching their vertices. Polygons
+// may have any orientation and different numbers of vertices. Aligning each long edge of the source
+// with each long edge of the destination provides a guess, which is refined with an iterative
+// closest point algorithm on mutually nearest vertices. The guess leaving the smallest chamfer
+// distance between the polygons wins. Return null if no guess could be computed.
+export function snapPolygon(src, dst) {
+    let best = null;
+    let bestScore = Infinity;
+    for (const [p, q] of longestEdges(src, SNAP_EDGES)) {
+        for (const [a, b] of longestEdges(dst, SNAP_EDGES)) {
+            for (const guess of [fitSimilarity([p, q], [a, b]), fitSimilarity([p, q], [b, a])]) {
+                let m = guess;
+                let pairs = [];
+                for (let i = 0; m !== null && i < SNAP_ITERATIONS; i++) {
+                    const next = mutualPairs(src.map(p => applyMatrix(m, p)), dst);
+                    if (next.length < 2 || (next.length === pairs.length &&
+                                            next.every(([s, d], j) => pairs[j][0] === s && pairs[j][1] === d)))
+                        break;
+                    pairs = next;
+                    m = fitSimilarity(pairs.map(([s,]) => src[s]), pairs.map(([, d]) => dst[d]));
+                }
+                if (m === null)
+                    continue;
+                const score = chamfer(src.map(p => applyMatrix(m, p)), dst);
+                if (score < bestScore) {
+                    best = m;
+                    bestScore = score;
+                }
+            }
+        }
+    }
+    return best;
+}
+
+// A transformation from floorplan pixels to (longitude, latitude) points. It is fitted in Web
+// Mercator, so that similarities keep their angles on the map.
+export class Transformation {
+    #matrix;
+
+    constructor(model, matrix) {
+        this.model = model;
+        this.#matrix = matrix;
+    }
+
+    // Fit a transformation; destination points are expressed as (longitude, latitude) pairs
+    static fit(model, src, dst) {
+        const matrix = fitMatrix(model, src, dst.map(toFittingPlane));
+        return matrix === null ? null : new Transformation(model, matrix);
+    }
+
+    // Map a floorplan point to a (longitude, latitude) point
+    apply(p) {
+        return fromFittingPlane(applyMatrix(this.#matrix, p));
+    }
+
+    // Compute the residual of each anchor, in meters, as well as their root mean square
+    residuals(src, dst) {
+        const errors = src.map((p, i) => {
+            const { x, y } = this.apply(p);
+            return hav({ lng: x, lat: y }, { lng: dst[i].x, lat: dst[i].y });
+        });
+        const rms = Math.sqrt(errors.reduce((acc, e) => acc + e * e, 0) / errors.length);
+        return { errors, rms };
+    }
+}
@@ -0,0 +1 @@
+../ext/geotiff/geotiff.js
\ No newline at end of file
@@ -0,0 +1,98 @@
+// This module defines the materials walls are made of, and the properties each wall carries: its
+// material, its radio attenuation in dB, its thickness in meters, optional notes, and its openings.
+// The default palette can be extended or overridden in the `materials` section of `config.json`.
+// The serialized format of walls and structure polygons is described in the README.
+
+export const DEFAULT_MATERIAL = 'concrete';
+
+// Default palette, mapping material identifiers to their name, attenuation in dB, thickness in
+// meters and display colour
+const MATERIALS = {
+    concrete: { name: 'Concrete', attenuation: 12, thickness: .2, color: '#7a7a7a' },
+    brick: { name: 'Brick', attenuation: 10, thickness: .2, color: '#b5532f' },
+    glass: { name: 'Glass', attenuation: 3, thickness: .01, color: '#2ba6cb' },
+    drywall: { name: 'Drywall', attenuation: 3, thickness: .1, color: '#d4a017' },
+    metal: { name: 'Metal', attenuation: 26, thickness: .01, color: '#5b3f8c' },
+    wood: { name: 'Wood', attenuation: 4, thickness: .05, color: '#2e8b3c' }
+};
+
+// Opening types, mapping their identifiers to their name, their default width in meters, and the
+// bottom and top of the opening, as fractions of the wall height
+export const OPENING_TYPES = {
+    door: { name: 'Door', width: .9, sill: 0, head: .8 },
+    window: { name: 'Window', width: 1.2, sill: .35, head: .8 },
+    passage: { name: 'Open passage', width: 1.5, sill: 0, head: 1 }
+};
+
+
+// Define additional materials, or override default ones, from a mapping of identifiers to partial
+// material definitions
+export function defineMaterials(definitions) {
+    for (const [id, definition] of Object.entries(definitions ?? {}))
+        MATERIALS[id] = { name: id, attenuation: 0, thickness: null, color: '#000', ...MATERIALS[id], ...definition };
+}
+
+
+// List the materials, as [identifier, material] pairs
+export function knownMaterials() {
+    return Object.entries(MATERIALS);
+}
+
+
+// Get a material, falling back to the default one for unknown identifiers
+export function getMaterial(id) {
+    return MATERIALS[id] ?? MATERIALS[DEFAULT_MATERIAL];
+}
+
+
+// Get the default properties of a wall made of a material
+export function defaultProperties(material=DEFAULT_MATERIAL) {
+    const { attenuation, thickness } = getMaterial(material);
+    return { material, attenuation, thickness, notes: '', openings: [] };
+}
+
+
+// Complete serialized wall properties with the defaults of their material
+function parseProperties(data) {
+    const material = data?.material ?? DEFAULT_MATERIAL;
+    const openings = (data?.openings ?? []).map(({ type, position, width }) => ({ type, position, width }));
+    return { ...defaultProperties(material), ...Object.fromEntries(
+        ['attenuation', 'thickness', 'notes'].filter(e => data?.[e] !== undefined).map(e => [e, data[e]])),
+        openings };
+}
+
+
+// Get the points of a serialized wall or structure polygon
+export function shapePoints(shape) {
+    return Array.isArray(shape) ? shape : shape.points;
+}
+
+
+// Get the properties of each edge of a serialized wall or structure polygon
+export function shapeEdges(shape) {
+    const points = shapePoints(shape);
+    if (points.length === 2)
+        return [parseProperties(Array.isArray(shape) ? null : shape)];
+    return points.map((e, i) => parseProperties(shape.edges?.[i]));
+}
+
+
+// Split an edge of a given length into its solid parts, as [start, end] intervals, and its openings,
+// as `{ type, start, end }` intervals. Intervals are fractions of the edge length, from its first
+// point, and openings are sorted along the edge.
+export function splitEdge(length, openings) {
+    const intervals = openings.map(({ type, position, width }) => {
+        const half = length > 0 ? width / length / 2 : 0;
+        return { type, start: Math.max(0, position - half), end: Math.min(1, position + half) };
+    }).sort((a, b) => a.start - b.start);
+    const solid = [];
+    let t = 0;
+    for (const { start, end } of intervals) {
+        if (start > t)
+            solid.push([t, start]);
+        t = Math.max(t, end);
+    }
+    if (t < 1)
+        solid.push([t, 1]);
+    return { solid, openings: intervals };
+}
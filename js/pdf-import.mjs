@@ -0,0 +1,67 @@
+// This module renders PDF floorplans into raster images, using the vendored PDF.js library
+
+import { GlobalWorkerOptions, getDocument } from '/js/pdf.mjs';
+
+GlobalWorkerOptions.workerSrc = '/js/pdf.worker.mjs';
+
+const PDF_DPI = 72;            // Resolution of PDF user space units
+const MAX_PIXELS = 50_000_000; // Largest rendered bitmap, to stay below browser canvas limits
+
+// Supported render resolutions, in dots per inch
+export const RESOLUTIONS = [72, 150, 200, 300, 600];
+
+
+// Check whether a file is a PDF document
+export function isPDF(file) {
+    return file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf');
+}
+
+
+// Open a PDF document
+export function openPDF(file) {
+    return file.arrayBuffer().then(data => getDocument({ data }).promise);
+}
+
+
+// Compute the size in pixels of a page rendered at the given resolution, capped to the largest
+// supported bitmap
+export function renderSize(page, dpi) {
+    let scale = dpi / PDF_DPI;
+    const { width, height } = page.getViewport({ scale });
+    if (width * height > MAX_PIXELS)
+        scale *= Math.sqrt(MAX_PIXELS / (width * height));
+    return { scale, width: Math.floor(page.getViewport({ scale }).width),
+             height: Math.floor(page.getViewport({ scale }).height) };
+}
+
+
+// Render a page onto a new canvas, with the given scale, over a white background
+function renderCanvas(page, scale) {
+    const viewport = page.getViewport({ scale });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return page.render({ canvasContext: ctx, viewport }).promise.then(() => canvas);
+}
+
+
+// Render a page thumbnail fitting in a square of the given size
+export function renderThumbnail(page, size) {
+    const { width, height } = page.getViewport({ scale: 1 });
+    return renderCanvas(page, size / Math.max(width, height));
+}
+
+
+// Render a page at the given resolution into a PNG image
+export function renderPage(page, dpi) {
+    return renderCanvas(page, renderSize(page, dpi).scale).then(canvas => new Promise(resolve => {
+        canvas.toBlob(blob => {
+            // Release the bitmap memory right away, as it may be large
+            canvas.width = canvas.height = 0;
+            resolve(blob);
+        }, 'image/png');
+    }));
+}
@@ -0,0 +1 @@
+../ext/pdfjs/pdf.min.mjs
\ No newline at end of file
@@ -0,0 +1 @@
+../ext/pdfjs/pdf.worker.min.mjs
\ No newline at end of file
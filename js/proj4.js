@@ -0,0 +1 @@
+../ext/proj4/proj4.js
\ No newline at end of file
@@ -0,0 +1,127 @@
+// This module converts coordinates between WGS84 and other coordinate reference systems, using the
+// vendored proj4 library. Besides the systems proj4 knows (WGS84 and Web Mercator), common national
+// grids are defined here, UTM zones are generated on demand, and more systems can be defined in
+// `config.json`.
+
+import '/js/proj4.js';
+
+
+// Definitions of the systems unknown to proj4, along with their names
+const SYSTEMS = {
+    'EPSG:4326': ['WGS 84', null],
+    'EPSG:4258': ['ETRS89', '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs'],
+    'EPSG:4171': ['RGF93', '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs'],
+    'EPSG:3857': ['Web Mercator', null],
+    'EPSG:2154': ['RGF93 / Lambert-93', '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 ' +
+                                        '+y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs'],
+    'EPSG:3035': ['ETRS89 / LAEA Europe', '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 ' +
+                                          '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs'],
+    'EPSG:27700': ['OSGB36 / British National Grid', '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 ' +
+                   '+x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,' +
+                   '-20.489 +units=m +no_defs'],
+    'EPSG:2056': ['CH1903+ / LV95', '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 ' +
+                  '+x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m ' +
+                  '+no_defs'],
+    'EPSG:31370': ['Belge 1972 / Belgian Lambert 72', '+proj=lcc +lat_0=90 +lon_0=4.36748666666667 ' +
+                   '+lat_1=51.1666672333333 +lat_2=49.8333339 +x_0=150000.013 +y_0=5400088.438 +ellps=intl ' +
+                   '+towgs84=-106.8686,52.2978,-103.7239,0.3366,-0.457,1.8422,-1.2747 +units=m +no_defs'],
+    'EPSG:28992': ['Amersfoort / RD New', '+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 ' +
+                   '+k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel +towgs84=565.417,50.3319,465.552,' +
+                   '-0.398957,0.343988,-1.8774,4.0725 +units=m +no_defs']
+};
+
+// French conic conformal zones CC42 to CC50 (EPSG:3942 to EPSG:3950)
+for (let lat = 42; lat <= 50; lat++) {
+    SYSTEMS[`EPSG:${3900 + lat}`] = [`RGF93 / CC${lat}`, `+proj=lcc +lat_0=${lat} +lon_0=3 ` +
+        `+lat_1=${lat - .75} +lat_2=${lat + .75} +x_0=1700000 +y_0=${(lat - 41) * 1e6 + 200000} +ellps=GRS80 ` +
+        '+towgs84=0,0,0,0,0,0,0 +units=m +no_defs'];
+}
+
+for (const [code, [, definition]] of Object.entries(SYSTEMS)) {
+    if (definition !== null)
+        proj4.defs(code, definition);
+}
+
+
+// Get the UTM zone system of a code, if it is one: WGS84 (EPSG:326xx and EPSG:327xx) or ETRS89
+// (EPSG:258xx) zones
+function utmSystem(code) {
+    const match = code.match(/^EPSG:(32[67]|258)(\d\d)$/);
+    if (match === null)
+        return null;
+    const [, prefix, zone] = match;
+    if (parseInt(zone) < 1 || parseInt(zone) > 60 || (prefix === '258' && parseInt(zone) > 38))
+        return null;
+    const datum = prefix === '258' ? '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0' : '+datum=WGS84';
+    return [`${prefix === '258' ? 'ETRS89' : 'WGS 84'} / UTM zone ${parseInt(zone)}${prefix === '327' ? 'S' : 'N'}`,
+            `+proj=utm +zone=${parseInt(zone)}${prefix === '327' ? ' +south' : ''} ${datum} +units=m +no_defs`];
+}
+
+
+// Define additional systems, as a mapping from their codes to their proj4 or WKT definitions
+export function defineProjections(definitions) {
+    for (const [code, definition] of Object.entries(definitions ?? {})) {
+        proj4.defs(code, definition);
+        SYSTEMS[code] ??= [code, definition];
+    }
+}
+
+
+// List the named systems, as [code, name] pairs
+export function knownProjections() {
+    return Object.entries(SYSTEMS).map(([code, [name]]) => [code, name]);
+}
+
+
+// Get the name of a system
+export function projectionName(code) {
+    return SYSTEMS[code]?.[0] ?? utmSystem(code)?.[0] ?? code;
+}
+
+
+// Get the proj4 converter of a system from WGS84. Systems are given as EPSG codes, or as proj4 or
+// WKT definitions.
+function converter(crs) {
+    if (proj4.defs(crs) === undefined) {
+        const utm = utmSystem(crs);
+        if (utm !== null)
+            proj4.defs(crs, utm[1]);
+    }
+    try {
+        return proj4('EPSG:4326', crs);
+    }
+    catch {
+        throw new Error(`Unknown coordinate reference system ${crs}`);
+    }
+}
+
+
+// Check whether a system is known
+export function isKnownProjection(crs) {
+    try {
+        converter(crs);
+        return true;
+    }
+    catch {
+        return false;
+    }
+}
+
+
+// Check whether a system has geographic coordinates, in degrees, rather than projected ones
+export function isGeographic(crs) {
+    converter(crs);
+    return proj4.Proj(crs).projName === 'longlat';
+}
+
+
+// Convert coordinates of a system into WGS84. The result is a [longitude, latitude] pair.
+export function toLngLat(crs, x, y) {
+    return converter(crs).inverse([x, y]);
+}
+
+
+// Convert WGS84 coordinates into a system. The result is a [x, y] pair.
+export function fromLngLat(crs, lng, lat) {
+    return converter(crs).forward([lng, lat]);
+}
@@ -0,0 +1,78 @@
+// This module implements a Leaflet image overlay positioned by its four corners, allowing
+// projective (perspective) transformations
+
+import { fitMatrix } from '/js/georef.mjs';
+import { Point2 } from '/js/linalg.mjs';
+import '/js/leaflet.js';
+
+
+const ProjectiveOverlay = L.Layer.extend({
+    options: {
+        opacity: 1
+    },
+
+    // Corners are given in the top-left, top-right, bottom-right, bottom-left order
+    initialize(url, corners, options) {
+        this._url = url;
+        this._corners = corners.map(e => L.latLng(e));
+        L.setOptions(this, options);
+    },
+
+    onAdd(map) {
+        this._image = L.DomUtil.create('img', 'leaflet-image-layer leaflet-zoom-hide');
+        this._image.style.transformOrigin = '0 0';
+        this._image.style.opacity = this.options.opacity;
+        this._image.addEventListener('load', () => this._reset());
+        this._image.src = this._url;
+        this.getPane().appendChild(this._image);
+        map.on('zoomend viewreset', this._reset, this);
+        this._reset();
+    },
+
+    onRemove(map) {
+        this._image.remove();
+        map.off('zoomend viewreset', this._reset, this);
+    },
+
+    // Move the corners of the overlay
+    reposition(corners) {
+        this._corners = corners.map(e => L.latLng(e));
+        if (this._map)
+            this._reset();
+        return this;
+    },
+
+    // Change the overlay opacity
+    setOpacity(opacity) {
+        this.options.opacity = opacity;
+        if (this._image)
+            this._image.style.opacity = opacity;
+        return this;
+    },
+
+    // Recompute the CSS transformation mapping the image onto its corners
+    _reset() {
+        const { naturalWidth: w, naturalHeight: h } = this._image;
+        if (!this._map || w === 0 || h === 0)
+            return;
+        const src = [new Point2(0, 0), new Point2(w, 0), new Point2(w, h), new Point2(0, h)];
+        const dst = this._corners.map(e => {
+            const { x, y } = this._map.latLngToLayerPoint(e);
+            return new Point2(x, y);
+        });
+        const m = fitMatrix('projective', src, dst);
+        if (m === null)
+            return;
+        // CSS expects a column-major 4×4 matrix
+        this._image.style.transform = `matrix3d(${m[0][0]}, ${m[1][0]}, 0, ${m[2][0]},
+                                                ${m[0][1]}, ${m[1][1]}, 0, ${m[2][1]},
+                                                0, 0, 1, 0,
+                                                ${m[0][2]}, ${m[1][2]}, 0, ${m[2][2]})`;
+    }
+});
+
+
+// Create a projective image overlay
+export function projectiveOverlay(url, corners, options) {
+    return new ProjectiveOverlay(url, corners, options);
+}
@@ -0,0 +1,159 @@
+// This module defines the rooms and zones structure polygons can be tagged as. A room has a name, an
+// optional category and free key/value metadata, and is serialized as `{ name, category, metadata }`
+// along with its polygon. Its label is placed at the pole of inaccessibility of the polygon, the
+// inner point farthest from its edges.
+
+// Room categories, mapping their identifiers to their names
+export const ROOM_CATEGORIES = {
+    office: 'Office',
+    corridor: 'Corridor',
+    stairwell: 'Stairwell',
+    outdoor: 'Outdoor',
+    restricted: 'Restricted'
+};
+
+
+// Parse serialized room data, or return null if there is none
+export function parseRoom(data) {
+    if (typeof data !== 'object' || data === null)
+        return null;
+    return {
+        name: String(data.name ?? ''),
+        category: data.category in ROOM_CATEGORIES ? data.category : null,
+        metadata: Object.fromEntries(Object.entries(data.metadata ?? {}).map(([k, v]) => [k, String(v)]))
+    };
+}
+
+
+// Check whether room data tags its polygon, that is has a name, a category or metadata
+export function isRoom(room) {
+    return room !== null && (room.name !== '' || room.category !== null || Object.keys(room.metadata).length > 0);
+}
+
+
+// Get the area of a polygon, in square units of its points
+export function polygonArea(points) {
+    return Math.abs(points.reduce((acc, p, i) => {
+        const q = points[(i + 1) % points.length];
+        return acc + p.x * q.y - q.x * p.y;
+    }, 0)) / 2;
+}
+
+
+// Get the signed distance from a point to the edges of a polygon, positive inside the polygon
+function signedDistance(x, y, points) {
+    let inside = false;
+    let sqdist = Infinity;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x)
+            inside = !inside;
+
+        // Squared distance to the edge, from the projection of the point clamped to the edge
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const sqlen = dx * dx + dy * dy;
+        const t = sqlen === 0 ? 0 : Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / sqlen));
+        const ex = a.x + t * dx - x;
+        const ey = a.y + t * dy - y;
+        sqdist = Math.min(sqdist, ex * ex + ey * ey);
+    }
+    return (inside ? 1 : -1) * Math.sqrt(sqdist);
+}
+
+
+// Create a square cell of the pole search, given by its centre and half size. Its distance is the
+// one of its centre, and its potential the largest distance a point of the cell can have.
+function cell(x, y, half, points) {
+    const distance = signedDistance(x, y, points);
+    return { x, y, half, distance, potential: distance + half * Math.SQRT2 };
+}
+
+
+// Push a cell to a priority queue, a binary heap ordered by decreasing potential
+function push(queue, item) {
+    queue.push(item);
+    let i = queue.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (queue[parent].potential >= item.potential)
+            break;
+        queue[i] = queue[parent];
+        i = parent;
+    }
+    queue[i] = item;
+}
+
+// Pop the cell with the largest potential from a priority queue
+function pop(queue) {
+    const top = queue[0];
+    const last = queue.pop();
+    if (queue.length > 0) {
+        let i = 0;
+        for (;;) {
+            let child = 2 * i + 1;
+            if (child >= queue.length)
+                break;
+            if (child + 1 < queue.length && queue[child + 1].potential > queue[child].potential)
+                child++;
+            if (queue[child].potential <= last.potential)
+                break;
+            queue[i] = queue[child];
+            i = child;
+        }
+        queue[i] = last;
+    }
+    return top;
+}
+
+
+// Get the pole of inaccessibility of a polygon, within a precision in units of its points. Cells
+// covering the polygon are subdivided as long as they may contain a point farther from the edges
+// than the best one found.
+export function poleOfInaccessibility(points, precision=1) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const maxX = Math.max(...xs);
+    const maxY = Math.max(...ys);
+    const size = Math.min(maxX - minX, maxY - minY);
+    if (!(size > 0))
+        return { x: points[0].x, y: points[0].y };
+
+    const queue = [];
+    for (let x = minX; x < maxX; x += size) {
+        for (let y = minY; y < maxY; y += size)
+            push(queue, cell(x + size / 2, y + size / 2, size / 2, points));
+    }
+
+    // The centroid is a good first guess for most rooms
+    const area = points.reduce((acc, p, i) => {
+        const q = points[(i + 1) % points.length];
+        return acc + p.x * q.y - q.x * p.y;
+    }, 0) / 2;
+    let best = cell(minX + size / 2, minY + size / 2, 0, points);
+    if (area !== 0) {
+        const centroid = points.reduce((acc, p, i) => {
+            const q = points[(i + 1) % points.length];
+            const f = p.x * q.y - q.x * p.y;
+            return { x: acc.x + (p.x + q.x) * f, y: acc.y + (p.y + q.y) * f };
+        }, { x: 0, y: 0 });
+        const candidate = cell(centroid.x / (6 * area), centroid.y / (6 * area), 0, points);
+        if (candidate.distance > best.distance)
+            best = candidate;
+    }
+
+    while (queue.length > 0) {
+        const current = pop(queue);
+        if (current.distance > best.distance)
+            best = current;
+        if (current.potential - best.distance <= precision)
+            continue;
+        const half = current.half / 2;
+        for (const [dx, dy] of [[-1, -1], [1, -1], [-1, 1], [1, 1]])
+            push(queue, cell(current.x + dx * half, current.y + dy * half, half, points));
+    }
+    return { x: best.x, y: best.y };
+}
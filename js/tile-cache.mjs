@@ -0,0 +1,120 @@
+// This module caches map tiles for offline use. Tiles are downloaded into a cache from which the
+// service worker (`/sw.js`) serves them, so that the map remains usable on sites without
+// connectivity.
+
+import '/js/leaflet.js';
+
+const CACHE_NAME = 'opmode-tiles'; // Must match the service worker
+const SUBDOMAINS = 'abc';          // Leaflet default tile subdomains
+const CONCURRENCY = 4;             // Number of simultaneous tile downloads
+
+// Largest number of tiles downloaded at once, to comply with the usage policies of tile providers
+export const MAX_TILES = 5000;
+
+
+// Check whether the browser supports offline tiles. Service workers require a secure context.
+export function tileCacheSupported() {
+    return 'serviceWorker' in navigator && 'caches' in window;
+}
+
+
+// Register the service worker serving cached tiles
+export function registerTileCache() {
+    if (!tileCacheSupported())
+        return Promise.resolve(null);
+    return navigator.serviceWorker.register('/sw.js').catch(() => null);
+}
+
+
+// Get the coordinates of the tile containing a point, at the given zoom
+function tileAt(lng, lat, z) {
+    const n = 2 ** z;
+    const rad = lat * Math.PI / 180;
+    const x = Math.floor((lng + 180) / 360 * n);
+    const y = Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n);
+    return { x: Math.min(Math.max(x, 0), n - 1), y: Math.min(Math.max(y, 0), n - 1) };
+}
+
+// Get the tile ranges covering a bounding box at each zoom level. Zoom levels beyond the maximum of
+// the source are skipped, as Leaflet scales the tiles of its maximum zoom instead.
+function tileRanges(source, bounds, minZoom, maxZoom) {
+    const ranges = [];
+    for (let z = minZoom; z <= Math.min(maxZoom, source.maxZoom); z++) {
+        const nw = tileAt(bounds.getWest(), bounds.getNorth(), z);
+        const se = tileAt(bounds.getEast(), bounds.getSouth(), z);
+        ranges.push({ z, x0: nw.x, x1: se.x, y0: nw.y, y1: se.y });
+    }
+    return ranges;
+}
+
+
+// Count the tiles of a source covering a bounding box, between two zoom levels
+export function countTiles(source, bounds, minZoom, maxZoom) {
+    return tileRanges(source, bounds, minZoom, maxZoom)
+        .reduce((sum, { x0, x1, y0, y1 }) => sum + (x1 - x0 + 1) * (y1 - y0 + 1), 0);
+}
+
+
+// List the URLs of the tiles of a source covering a bounding box, between two zoom levels. They
+// are built the same way as Leaflet does, so that the service worker finds them in the cache.
+export function tileURLs(source, bounds, minZoom, maxZoom) {
+    const urls = [];
+    for (const { z, x0, x1, y0, y1 } of tileRanges(source, bounds, minZoom, maxZoom)) {
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) {
+                const s = SUBDOMAINS[Math.abs(x + y) % SUBDOMAINS.length];
+                urls.push(L.Util.template(source.layer, { r: '', ...source.params, s, x, y, z }));
+            }
+        }
+    }
+    return urls;
+}
+
+
+// Download tiles into the cache, skipping the ones already cached. The progress callback receives
+// the number of processed and total tiles. Resolve to the number of tiles which failed.
+export function downloadTiles(urls, onProgress, signal) {
+    if (urls.length > MAX_TILES)
+        return Promise.reject(new Error(`Too many tiles (${urls.length}), at most ${MAX_TILES} can be downloaded at once`));
+    return caches.open(CACHE_NAME).then(cache => {
+        let next = 0;
+        let processed = 0;
+        let failed = 0;
+        const download = url => cache.match(url).then(hit => {
+            if (hit !== undefined)
+                return;
+            return fetch(url, { mode: 'cors', signal }).then(response => {
+                if (!response.ok)
+                    throw new Error(`Failed to download ${url} (${response.status})`);
+                return response.blob();
+            }).then(blob => cache.put(url, new Response(blob, {
+                // Store the size, so that the cache size can be computed without reading every tile
+                headers: { 'Content-Type': blob.type, 'Content-Length': blob.size }
+            })));
+        });
+        const worker = () => {
+            if (next >= urls.length || signal?.aborted)
+                return Promise.resolve();
+            return download(urls[next++]).catch(() => failed++).then(() => {
+                onProgress(++processed, urls.length);
+                return worker();
+            });
+        };
+        return Promise.all(Array.from({ length: CONCURRENCY }, worker)).then(() => failed);
+    });
+}
+
+
+// Get the number of cached tiles and their total size, in bytes
+export function tileCacheStats() {
+    return caches.open(CACHE_NAME).then(cache => cache.matchAll()).then(responses => ({
+        count: responses.length,
+        size: responses.reduce((sum, e) => sum + (parseInt(e.headers.get('Content-Length')) || 0), 0)
+    }));
+}
+
+
+// Delete every cached tile
+export function clearTileCache() {
+    return caches.delete(CACHE_NAME);
+}
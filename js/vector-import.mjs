@@ -0,0 +1,403 @@
+// This module imports vector floorplans (SVG and DXF files). Drawings are parsed locally, turned
+// into a raster background, and their lines and polylines converted into editor shapes.
+
+const RASTER_SIZE = 2048;    // Largest dimension of a rasterized drawing, in px
+const DXF_MARGIN = .02;      // Margin around rasterized DXF drawings, relative to their size
+const DEFAULT_LAYER = '0';   // Name of the layer holding shapes which belong to no layer
+const SKIPPED_SVG_ELEMENTS = ['clipPath', 'defs', 'marker', 'mask', 'metadata', 'pattern', 'symbol'];
+const SVG_PATH_PARAMS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+const LAYER_GUESSES = [[/wall|mur|wand/i, 'walls'],
+                       [/outline|boundary|footprint|contour|struct/i, 'structure']];
+
+// Roles a drawing layer can be imported as
+export const LAYER_ROLES = {
+    walls: 'Walls',
+    structure: 'Boundaries',
+    ignore: 'Ignored'
+};
+
+
+// Get the vector format of a file, or null if it is not a supported vector file
+export function vectorFormat(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (file.type === 'image/svg+xml' || extension === 'svg')
+        return 'svg';
+    if (extension === 'dxf')
+        return 'dxf';
+    return null;
+}
+
+
+// Multiply two affine matrices, stored as [a, b, c, d, e, f] like SVG matrices
+function multiply(m, n) {
+    return [m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5]];
+}
+
+// Apply an affine matrix to a point
+function apply(m, p) {
+    return { x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] };
+}
+
+// Parse a list of numbers, as found in SVG attributes
+function parseNumbers(s) {
+    return (s ?? '').match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g)?.map(parseFloat) ?? [];
+}
+
+// Parse an SVG transform attribute into an affine matrix
+function parseTransform(s) {
+    let m = [1, 0, 0, 1, 0, 0];
+    for (const [, name, args] of (s ?? '').matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+        const [x = 0, y, z] = parseNumbers(args);
+        let t;
+        switch (name) {
+            case 'matrix':
+                t = parseNumbers(args);
+                break;
+            case 'translate':
+                t = [1, 0, 0, 1, x, y ?? 0];
+                break;
+            case 'scale':
+                t = [x, 0, 0, y ?? x, 0, 0];
+                break;
+            case 'rotate': {
+                const a = x * Math.PI / 180;
+                const [cx, cy] = [y ?? 0, z ?? 0];
+                t = multiply(multiply([1, 0, 0, 1, cx, cy],
+                                      [Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0]),
+                             [1, 0, 0, 1, -cx, -cy]);
+                break;
+            }
+            case 'skewX':
+                t = [1, 0, Math.tan(x * Math.PI / 180), 1, 0, 0];
+                break;
+            case 'skewY':
+                t = [1, Math.tan(x * Math.PI / 180), 0, 1, 0, 0];
+                break;
+            default:
+                continue;
+        }
+        m = multiply(m, t);
+    }
+    return m;
+}
+
+// Parse SVG path data into polylines. Curves are approximated by their end points.
+function parsePath(d) {
+    const polylines = [];
+    let current = null;
+    let p = { x: 0, y: 0 };
+    let start = p;
+    let command = null;
+    const tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) ?? [];
+    for (let i = 0; i < tokens.length;) {
+        if (/[a-z]/i.test(tokens[i]))
+            command = tokens[i++];
+        else if (command === null)
+            break;
+        const lower = command.toLowerCase();
+        const relative = command === lower;
+        const args = tokens.slice(i, i + SVG_PATH_PARAMS[lower]).map(parseFloat);
+        i += args.length;
+        if (args.length < SVG_PATH_PARAMS[lower])
+            break;
+
+        switch (lower) {
+            case 'z':
+                if (current !== null)
+                    current.closed = true;
+                p = start;
+                current = null;
+                // Closing a path takes no parameter, so it cannot be repeated implicitly
+                command = null;
+                continue;
+            case 'h':
+                p = { x: relative ? p.x + args[0] : args[0], y: p.y };
+                break;
+            case 'v':
+                p = { x: p.x, y: relative ? p.y + args[0] : args[0] };
+                break;
+            default: {
+                const [x, y] = args.slice(-2);
+                p = relative ? { x: p.x + x, y: p.y + y } : { x, y };
+            }
+        }
+
+        if (lower === 'm') {
+            start = p;
+            current = { points: [p], closed: false };
+            polylines.push(current);
+            // Subsequent coordinate pairs are implicit line commands
+            command = relative ? 'l' : 'L';
+        }
+        else {
+            if (current === null) {
+                current = { points: [start], closed: false };
+                polylines.push(current);
+            }
+            current.points.push(p);
+        }
+    }
+    return polylines;
+}
+
+// Get the polylines of a single SVG shape element, in its own coordinates
+function svgShape(e) {
+    const attr = name => parseFloat(e.getAttribute(name) ?? 0);
+    const pairs = s => {
+        const numbers = parseNumbers(s);
+        const points = [];
+        for (let i = 0; i + 1 < numbers.length; i += 2)
+            points.push({ x: numbers[i], y: numbers[i + 1] });
+        return points;
+    };
+    switch (e.localName) {
+        case 'line':
+            return [{ points: [{ x: attr('x1'), y: attr('y1') }, { x: attr('x2'), y: attr('y2') }],
+                      closed: false }];
+        case 'polyline':
+            return [{ points: pairs(e.getAttribute('points')), closed: false }];
+        case 'polygon':
+            return [{ points: pairs(e.getAttribute('points')), closed: true }];
+        case 'rect': {
+            const [x, y, w, h] = [attr('x'), attr('y'), attr('width'), attr('height')];
+            return [{ points: [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }],
+                      closed: true }];
+        }
+        case 'path':
+            return parsePath(e.getAttribute('d') ?? '');
+    }
+    return [];
+}
+
+// Get the layer name of a top-level SVG group
+function svgLayerName(e) {
+    return e.getAttributeNS('http://www.inkscape.org/namespaces/inkscape', 'label') ||
+           e.getAttribute('id') || DEFAULT_LAYER;
+}
+
+// Parse an SVG drawing. Its layers are its top-level groups.
+function parseSVG(text) {
+    const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+    const root = doc.documentElement;
+    if (root.localName !== 'svg')
+        throw new Error('Invalid SVG file');
+
+    let viewBox = parseNumbers(root.getAttribute('viewBox'));
+    if (viewBox.length !== 4) {
+        const [width, height] = [parseFloat(root.getAttribute('width')),
+                                 parseFloat(root.getAttribute('height'))];
+        if (!(width > 0 && height > 0))
+            throw new Error('The SVG file has no dimensions');
+        viewBox = [0, 0, width, height];
+    }
+    const [vx, vy, vw, vh] = viewBox;
+    const s = RASTER_SIZE / Math.max(vw, vh);
+    const toPixels = [s, 0, 0, s, -vx * s, -vy * s];
+
+    const entities = [];
+    const walk = (e, m, layer) => {
+        if (SKIPPED_SVG_ELEMENTS.includes(e.localName))
+            return;
+        const matrix = multiply(m, parseTransform(e.getAttribute('transform')));
+        for (const { points, closed } of svgShape(e))
+            entities.push({ layer, points: points.map(p => apply(matrix, p)), closed });
+        for (const child of e.children)
+            walk(child, matrix, layer ?? (child.localName === 'g' ? svgLayerName(child) : null));
+    };
+    walk(root, toPixels, null);
+    entities.forEach(e => e.layer ??= DEFAULT_LAYER);
+
+    // Render the original file at the rasterization size
+    root.setAttribute('width', Math.round(vw * s));
+    root.setAttribute('height', Math.round(vh * s));
+    root.setAttribute('viewBox', viewBox.join(' '));
+    root.setAttribute('preserveAspectRatio', 'none');
+    const source = new Blob([new XMLSerializer().serializeToString(doc)], { type: 'image/svg+xml' });
+    return { width: Math.round(vw * s), height: Math.round(vh * s), entities, source };
+}
+
+// Parse a DXF drawing. Only lines and polylines of the ENTITIES section are considered.
+function parseDXF(text) {
+    const lines = text.split(/\r?\n/);
+    const pairs = [];
+    for (let i = 0; i + 1 < lines.length; i += 2)
+        pairs.push([parseInt(lines[i]), lines[i + 1].trim()]);
+
+    const start = pairs.findIndex(([code, value], i) => code === 2 && value === 'ENTITIES' &&
+                                                        pairs[i - 1]?.[1] === 'SECTION');
+    if (start === -1)
+        throw new Error('Invalid DXF file: there is no ENTITIES section');
+
+    const entities = [];
+    let entity = null;
+    let polyline = null;
+    let x = null;
+    for (const [code, value] of pairs.slice(start + 1)) {
+        if (code === 0) {
+            if (value === 'ENDSEC')
+                break;
+            entity = { type: value, layer: DEFAULT_LAYER, points: [], closed: false };
+            if (value === 'LINE' || value === 'LWPOLYLINE') {
+                entities.push(entity);
+            }
+            else if (value === 'POLYLINE') {
+                polyline = entity;
+                entities.push(entity);
+            }
+            else if (value === 'SEQEND') {
+                polyline = null;
+            }
+            continue;
+        }
+        if (entity === null)
+            continue;
+        switch (code) {
+            case 8:
+                entity.layer = value;
+                break;
+            case 70:
+                if (entity.type !== 'VERTEX')
+                    entity.closed = (parseInt(value) & 1) === 1;
+                break;
+            case 10:
+            case 11:
+                x = parseFloat(value);
+                break;
+            case 20:
+            case 21: {
+                const p = { x, y: parseFloat(value) };
+                if (entity.type === 'VERTEX')
+                    polyline?.points.push(p);
+                else if (entity.type !== 'POLYLINE')
+                    entity.points.push(p);
+                break;
+            }
+        }
+    }
+
+    const shapes = entities.filter(e => e.points.length > 1);
+    if (shapes.length === 0)
+        throw new Error('The DXF file contains no lines or polylines');
+
+    // DXF coordinates have an upward y axis, and arbitrary units and origin
+    let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const p of shapes.flatMap(e => e.points)) {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+    }
+    const size = Math.max(maxX - minX, maxY - minY) || 1;
+    const margin = DXF_MARGIN * size;
+    const s = RASTER_SIZE / (size + 2 * margin);
+    const toPixels = [s, 0, 0, -s, (margin - minX) * s, (maxY + margin) * s];
+    return {
+        width: Math.round((maxX - minX + 2 * margin) * s),
+        height: Math.round((maxY - minY + 2 * margin) * s),
+        entities: shapes.map(e => ({ layer: e.layer, points: e.points.map(p => apply(toPixels, p)),
+                                     closed: e.closed })),
+        source: null
+    };
+}
+
+
+// Parse a vector file. The drawing holds its rasterization size, its shapes in raster pixels,
+// grouped by layer, and the list of those layers.
+export function parseDrawing(file) {
+    return file.text().then(text => {
+        const drawing = vectorFormat(file) === 'svg' ? parseSVG(text) : parseDXF(text);
+        drawing.layers = [...new Set(drawing.entities.map(e => e.layer))].sort();
+        return drawing;
+    });
+}
+
+
+// Guess the role of each layer of a drawing from its name. If no layer can be recognized, every
+// layer is considered to be made of walls.
+export function guessLayerRoles(drawing) {
+    const roles = new Map(drawing.layers.map(layer => {
+        const guess = LAYER_GUESSES.find(([regex]) => regex.test(layer));
+        return [layer, guess?.[1] ?? 'ignore'];
+    }));
+    if ([...roles.values()].every(e => e === 'ignore'))
+        drawing.layers.forEach(layer => roles.set(layer, 'walls'));
+    return roles;
+}
+
+
+// Rasterize a drawing into a PNG image. SVG files are rendered as is, DXF files are drawn from their
+// shapes.
+export function rasterizeDrawing(drawing) {
+    const canvas = document.createElement('canvas');
+    canvas.width = drawing.width;
+    canvas.height = drawing.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    let drawn;
+    if (drawing.source === null) {
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = Math.max(1, RASTER_SIZE / 1000);
+        for (const { points, closed } of drawing.entities) {
+            ctx.beginPath();
+            points.forEach(p => ctx.lineTo(p.x, p.y));
+            if (closed)
+                ctx.closePath();
+            ctx.stroke();
+        }
+        drawn = Promise.resolve();
+    }
+    else {
+        drawn = new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(drawing.source);
+            const img = new Image();
+            img.addEventListener('load', () => {
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                resolve();
+            });
+            img.addEventListener('error', () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to render the SVG file'));
+            });
+            img.src = url;
+        });
+    }
+
+    return drawn.then(() => new Promise(resolve => canvas.toBlob(resolve, 'image/png')));
+}
+
+
+// Convert the shapes of a drawing into serialized editor shapes, given the role of each layer.
+// Closed polylines of boundary layers become polygons, while every line of wall layers becomes a
+// wall.
+export function drawingShapes(drawing, roles) {
+    const structure = [];
+    const walls = [];
+    const same = (p, q) => Math.abs(p.x - q.x) < 1e-6 && Math.abs(p.y - q.y) < 1e-6;
+    for (const entity of drawing.entities) {
+        const points = entity.points.filter((p, i, a) => i === 0 || !same(p, a[i - 1]));
+        let closed = entity.closed;
+        if (points.length > 2 && same(points[0], points.at(-1))) {
+            points.pop();
+            closed = true;
+        }
+
+        switch (roles.get(entity.layer)) {
+            case 'structure':
+                if (closed && points.length > 2)
+                    structure.push(points);
+                break;
+            case 'walls':
+                for (let i = 0; i < points.length - 1; i++)
+                    walls.push([points[i], points[i + 1]]);
+                if (closed && points.length > 2)
+                    walls.push([points.at(-1), points[0]]);
+                break;
+        }
+    }
+    return { structure, walls };
+}
@@ -0,0 +1,66 @@
+// This module detects walls on floorplan images, to suggest them in the Floorplan Editor. The
+// detection runs in a worker, so that the editor stays responsive, and the image never leaves the
+// browser.
+
+const WORKER_URL = '/js/wall-detection.worker.mjs';
+const MAX_SIZE = 2000; // Largest side of the analyzed image, in px
+
+let current = null; // Detection in progress: its worker and the rejection of its promise
+
+
+// Cancel the detection in progress, if any. Its promise rejects with an AbortError.
+export function cancelDetection() {
+    if (current === null)
+        return;
+    current.worker.terminate();
+    current.reject(new DOMException('The wall detection was cancelled', 'AbortError'));
+    current = null;
+}
+
+
+// Detect the walls of a floorplan image, with a sensitivity between 0 and 1. Resolve to the
+// suggested walls, as pairs of points, and to the suggested outer boundary, as a list of points, or
+// null if none was found. Points are in image pixels. A detection in progress is cancelled.
+export function detectWalls(img, sensitivity) {
+    cancelDetection();
+    const scale = Math.min(1, MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+    const width = Math.round(img.naturalWidth * scale);
+    const height = Math.round(img.naturalHeight * scale);
+    const ctx = new OffscreenCanvas(width, height).getContext('2d');
+    // Transparent areas are considered blank
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(img, 0, 0, width, height);
+    let data;
+    try {
+        data = ctx.getImageData(0, 0, width, height).data;
+    }
+    catch {
+        return Promise.reject(new Error('This floorplan image cannot be analyzed, as it comes from another site'));
+    }
+
+    const toImage = p => ({ x: p.x / scale, y: p.y / scale });
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(WORKER_URL, { type: 'module' });
+        const done = () => {
+            worker.terminate();
+            current = null;
+        };
+        worker.addEventListener('message', e => {
+            done();
+            if (e.data.error !== undefined)
+                reject(new Error(e.data.error));
+            else
+                resolve(e.data);
+        });
+        worker.addEventListener('error', e => {
+            done();
+            reject(new Error(e.message || 'The wall detection failed'));
+        });
+        current = { worker, reject };
+        worker.postMessage({ image: { data, width, height }, sensitivity }, [data.buffer]);
+    }).then(({ walls, boundary }) => ({
+        walls: walls.map(e => e.map(toImage)),
+        boundary: boundary?.map(toImage) ?? null
+    }));
+}
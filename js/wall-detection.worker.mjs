@@ -0,0 +1,458 @@
+// This worker detects walls on floorplan images. Walls are drawn as thick dark strokes, so the image is
+// binarized, thinner strokes such as text, furniture and dimension lines are removed by a morphological
+// opening, and the remaining strokes are thinned into their centre lines, which are traced and
+// simplified into segments. The outer boundary is the outline of the area the walls enclose.
+//
+// The sensitivity, between 0 and 1, sets how dark and how thick strokes must be to be taken for walls.
+
+const MIN_THICKNESS = .002;     // Thickness of the thinnest walls, relative to the image size, at medium sensitivity
+const MIN_LENGTH = .015;        // Length of the shortest walls, relative to the image size
+const GAP = .03;                // Width of the widest openings in outer walls, relative to the image size
+const MIN_AREA = .05;           // Area of the smallest boundary, relative to the image area
+const AXIS_TOLERANCE = 3 * Math.PI / 180; // Angle under which walls are aligned with the image axes
+
+// Neighbors of a pixel, in clockwise order (the y axis points down) from the east
+const DIRECTIONS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+
+
+// Compute the threshold separating dark and light pixels, with Otsu's method
+function otsu(gray) {
+    const histogram = new Float64Array(256);
+    gray.forEach(e => histogram[e]++);
+    const total = gray.length;
+    let sum = 0;
+    histogram.forEach((e, i) => sum += i * e);
+    let background = 0, backgroundSum = 0, best = 0, threshold = 128;
+    for (let i = 0; i < 256; i++) {
+        background += histogram[i];
+        if (background === 0 || background === total)
+            continue;
+        backgroundSum += i * histogram[i];
+        const m1 = backgroundSum / background;
+        const m2 = (sum - backgroundSum) / (total - background);
+        const variance = background * (total - background) * (m1 - m2) ** 2;
+        if (variance > best) {
+            best = variance;
+            threshold = i;
+        }
+    }
+    return threshold;
+}
+
+// Binarize an image, dark pixels being set
+function binarize({ data, width, height }, sensitivity) {
+    const gray = new Uint8Array(width * height);
+    for (let i = 0; i < gray.length; i++)
+        gray[i] = Math.round(.299 * data[4 * i] + .587 * data[4 * i + 1] + .114 * data[4 * i + 2]);
+    const threshold = Math.min(254, otsu(gray) * (.75 + .5 * sensitivity));
+    return gray.map(e => e <= threshold ? 1 : 0);
+}
+
+
+// Compute the summed-area table of a mask
+function integral(mask, width, height) {
+    const table = new Int32Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let row = 0;
+        for (let x = 0; x < width; x++) {
+            row += mask[y * width + x];
+            table[(y + 1) * (width + 1) + x + 1] = table[y * (width + 1) + x + 1] + row;
+        }
+    }
+    return table;
+}
+
+// Count the set pixels of a mask in the square of the given radius around a pixel, clipped to the
+// image, from its summed-area table. Also return the number of pixels of the clipped square.
+function windowCount(table, width, height, x, y, radius) {
+    const x0 = Math.max(0, x - radius), x1 = Math.min(width, x + radius + 1);
+    const y0 = Math.max(0, y - radius), y1 = Math.min(height, y + radius + 1);
+    const w = width + 1;
+    return [table[y1 * w + x1] - table[y0 * w + x1] - table[y1 * w + x0] + table[y0 * w + x0],
+            (x1 - x0) * (y1 - y0)];
+}
+
+// Erode a mask with a square of the given radius
+function erode(mask, width, height, radius) {
+    const table = integral(mask, width, height);
+    const result = new Uint8Array(mask.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [count, area] = windowCount(table, width, height, x, y, radius);
+            result[y * width + x] = count === area ? 1 : 0;
+        }
+    }
+    return result;
+}
+
+// Dilate a mask with a square of the given radius
+function dilate(mask, width, height, radius) {
+    const table = integral(mask, width, height);
+    const result = new Uint8Array(mask.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++)
+            result[y * width + x] = windowCount(table, width, height, x, y, radius)[0] > 0 ? 1 : 0;
+    }
+    return result;
+}
+
+
+// Label the 8-connected components of a mask. Return the labels, starting from 1, and the pixels of
+// each component.
+function components(mask, width, height) {
+    const labels = new Int32Array(mask.length);
+    const pixels = [];
+    const stack = [];
+    for (let start = 0; start < mask.length; start++) {
+        if (mask[start] === 0 || labels[start] !== 0)
+            continue;
+        const component = [];
+        labels[start] = pixels.length + 1;
+        stack.push(start);
+        while (stack.length > 0) {
+            const i = stack.pop();
+            component.push(i);
+            const x = i % width, y = (i - x) / width;
+            for (const [dx, dy] of DIRECTIONS) {
+                const nx = x + dx, ny = y + dy;
+                const j = ny * width + nx;
+                if (nx >= 0 && ny >= 0 && nx < width && ny < height && mask[j] !== 0 && labels[j] === 0) {
+                    labels[j] = pixels.length + 1;
+                    stack.push(j);
+                }
+            }
+        }
+        pixels.push(component);
+    }
+    return { labels, pixels };
+}
+
+// Remove the components of a mask whose extent is shorter than the given length
+function removeSmall(mask, width, height, length) {
+    const result = mask.slice();
+    for (const component of components(mask, width, height).pixels) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const i of component) {
+            const x = i % width, y = (i - x) / width;
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+        if (Math.hypot(maxX - minX, maxY - minY) < length)
+            component.forEach(i => result[i] = 0);
+    }
+    return result;
+}
+
+
+// Thin a mask into its one pixel wide skeleton, with the Zhang-Suen algorithm
+function skeletonize(mask, width, height) {
+    const skeleton = mask.slice();
+    // Image borders are cleared, so that every pixel has 8 neighbors
+    for (let x = 0; x < width; x++)
+        skeleton[x] = skeleton[(height - 1) * width + x] = 0;
+    for (let y = 0; y < height; y++)
+        skeleton[y * width] = skeleton[y * width + width - 1] = 0;
+
+    const removed = [];
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const step of [0, 1]) {
+            for (let y = 1; y < height - 1; y++) {
+                for (let x = 1; x < width - 1; x++) {
+                    const i = y * width + x;
+                    if (skeleton[i] === 0)
+                        continue;
+                    // Neighbors from the north, clockwise
+                    const p = [skeleton[i - width], skeleton[i - width + 1], skeleton[i + 1], skeleton[i + width + 1],
+                               skeleton[i + width], skeleton[i + width - 1], skeleton[i - 1], skeleton[i - width - 1]];
+                    const count = p.reduce((a, b) => a + b);
+                    if (count < 2 || count > 6)
+                        continue;
+                    let transitions = 0;
+                    for (let k = 0; k < 8; k++)
+                        transitions += p[k] === 0 && p[(k + 1) % 8] === 1 ? 1 : 0;
+                    if (transitions !== 1)
+                        continue;
+                    if (step === 0 ? p[0] * p[2] * p[4] === 0 && p[2] * p[4] * p[6] === 0
+                                   : p[0] * p[2] * p[6] === 0 && p[0] * p[4] * p[6] === 0)
+                        removed.push(i);
+                }
+            }
+            if (removed.length > 0)
+                changed = true;
+            removed.forEach(i => skeleton[i] = 0);
+            removed.length = 0;
+        }
+    }
+    return skeleton;
+}
+
+// Trace a skeleton into polylines, split at its endpoints and junctions
+function trace(skeleton, width) {
+    const neighbors = i => DIRECTIONS.map(([dx, dy]) => i + dy * width + dx).filter(j => skeleton[j] !== 0);
+    const isNode = i => neighbors(i).length !== 2;
+    const visited = new Uint8Array(skeleton.length);
+    const point = i => ({ x: i % width + .5, y: Math.floor(i / width) + .5 });
+    const polylines = [];
+
+    // Walk along the skeleton from a pixel towards one of its neighbors, until a node is reached
+    const walk = (start, next) => {
+        const line = [start];
+        let previous = start, current = next;
+        while (true) {
+            line.push(current);
+            if (isNode(current) || visited[current] !== 0)
+                break;
+            visited[current] = 1;
+            const following = neighbors(current).find(j => j !== previous && !(visited[j] !== 0 && !isNode(j)));
+            if (following === undefined)
+                break;
+            previous = current;
+            current = following;
+        }
+        return line.map(point);
+    };
+
+    for (let i = 0; i < skeleton.length; i++) {
+        if (skeleton[i] === 0 || !isNode(i))
+            continue;
+        visited[i] = 1;
+        for (const j of neighbors(i)) {
+            if (visited[j] === 0 || isNode(j))
+                polylines.push(walk(i, j));
+        }
+    }
+    // Closed loops have no node
+    for (let i = 0; i < skeleton.length; i++) {
+        if (skeleton[i] !== 0 && visited[i] === 0) {
+            visited[i] = 1;
+            polylines.push(walk(i, neighbors(i)[0]));
+        }
+    }
+    // Polylines between adjacent nodes are found from both ends
+    const seen = new Set();
+    return polylines.filter(line => {
+        const key = [line[0], line.at(-1)].map(p => `${p.x},${p.y}`).sort().join(';') + `;${line.length}`;
+        if (seen.has(key))
+            return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+
+// Compute the distance between a point and a segment
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const length = dx * dx + dy * dy;
+    const t = length === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / length));
+    return Math.hypot(p.x - a.x - t * dx, p.y - a.y - t * dy);
+}
+
+// Simplify a polyline with the Douglas-Peucker algorithm
+function simplify(points, epsilon) {
+    if (points.length < 3)
+        return points;
+    let index = 0, distance = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const d = distanceToSegment(points[i], points[0], points.at(-1));
+        if (d > distance) {
+            index = i;
+            distance = d;
+        }
+    }
+    if (distance <= epsilon)
+        return [points[0], points.at(-1)];
+    return [...simplify(points.slice(0, index + 1), epsilon).slice(0, -1), ...simplify(points.slice(index), epsilon)];
+}
+
+
+// Align the segments which are nearly horizontal or vertical with the image axes
+function straighten(segments) {
+    return segments.map(([a, b]) => {
+        const angle = Math.abs(Math.atan2(b.y - a.y, b.x - a.x)) % Math.PI;
+        if (Math.min(angle, Math.PI - angle) < AXIS_TOLERANCE) {
+            const y = (a.y + b.y) / 2;
+            return [{ x: a.x, y }, { x: b.x, y }];
+        }
+        if (Math.abs(angle - Math.PI / 2) < AXIS_TOLERANCE) {
+            const x = (a.x + b.x) / 2;
+            return [{ x, y: a.y }, { x, y: b.y }];
+        }
+        return [a, b];
+    });
+}
+
+// Merge two segments if they are collinear and overlap or nearly touch. Return null otherwise.
+function mergePair([a, b], [c, d], tolerance) {
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const ux = (b.x - a.x) / length, uy = (b.y - a.y) / length;
+    // Both ends of the second segment must lie on the line of the first one
+    const offset = p => Math.abs((p.x - a.x) * uy - (p.y - a.y) * ux);
+    if (offset(c) > tolerance || offset(d) > tolerance)
+        return null;
+    const along = p => (p.x - a.x) * ux + (p.y - a.y) * uy;
+    const [tc, td] = [along(c), along(d)].sort((m, n) => m - n);
+    if (tc > length + tolerance || td < -tolerance)
+        return null;
+    const t0 = Math.min(0, tc), t1 = Math.max(length, td);
+    return [{ x: a.x + t0 * ux, y: a.y + t0 * uy }, { x: a.x + t1 * ux, y: a.y + t1 * uy }];
+}
+
+// Merge the collinear segments which overlap or nearly touch, such as the pieces of a wall split by
+// the walls joining it
+function mergeCollinear(segments, tolerance) {
+    const result = [...segments];
+    let merged = true;
+    while (merged) {
+        merged = false;
+        for (let i = 0; i < result.length; i++) {
+            for (let j = result.length - 1; j > i; j--) {
+                const union = mergePair(result[i], result[j], tolerance);
+                if (union !== null) {
+                    result[i] = union;
+                    result.splice(j, 1);
+                    merged = true;
+                }
+            }
+        }
+    }
+    return result;
+}
+
+// Snap the segment ends which are close to each other together, so that walls join
+function joinEnds(segments, tolerance) {
+    const ends = segments.flat();
+    const clusters = [];
+    for (const p of ends) {
+        const cluster = clusters.find(e => Math.hypot(e.x - p.x, e.y - p.y) <= tolerance);
+        if (cluster === undefined) {
+            clusters.push({ x: p.x, y: p.y, points: [p] });
+            continue;
+        }
+        cluster.points.push(p);
+        cluster.x = cluster.points.reduce((s, e) => s + e.x, 0) / cluster.points.length;
+        cluster.y = cluster.points.reduce((s, e) => s + e.y, 0) / cluster.points.length;
+    }
+    const position = new Map(clusters.flatMap(e => e.points.map(p => [p, { x: e.x, y: e.y }])));
+    return segments.map(([a, b]) => [position.get(a), position.get(b)])
+                   .filter(([a, b]) => a.x !== b.x || a.y !== b.y);
+}
+
+
+// Trace the outer contour of the component containing a pixel, which must be its first pixel in
+// raster order, with Moore neighborhood tracing
+function contour(mask, width, height, start) {
+    const isSet = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] !== 0;
+    const startX = start % width, startY = (start - startX) / width;
+    let x = startX, y = startY;
+    const points = [{ x, y }];
+    // The pixel west of the start is outside the component
+    let backtrack = 4;
+    let first = null;
+    for (let steps = 0; steps < 4 * mask.length; steps++) {
+        let found = null;
+        for (let k = 1; k <= 8; k++) {
+            const d = (backtrack + k) % 8;
+            if (isSet(x + DIRECTIONS[d][0], y + DIRECTIONS[d][1])) {
+                found = d;
+                break;
+            }
+        }
+        // Isolated pixel
+        if (found === null)
+            return points;
+        if (first === null)
+            first = found;
+        else if (x === startX && y === startY && found === first)
+            break;
+        // The new backtrack is the last pixel checked, seen from the next pixel
+        const [bx, by] = [x + DIRECTIONS[(found + 7) % 8][0], y + DIRECTIONS[(found + 7) % 8][1]];
+        x += DIRECTIONS[found][0];
+        y += DIRECTIONS[found][1];
+        backtrack = DIRECTIONS.findIndex(([dx, dy]) => dx === bx - x && dy === by - y);
+        points.push({ x, y });
+    }
+    return points.slice(0, -1);
+}
+
+// Find the outer boundary of the area enclosed by the walls, as a polygon. Openings in the outer
+// walls are closed first, so that the outside does not leak in. Return null if the walls enclose no
+// large enough area.
+function boundary(walls, width, height, gap, epsilon) {
+    // The outside is flooded from the image borders
+    const closed = dilate(walls, width, height, gap);
+    const outside = new Uint8Array(closed.length);
+    const stack = [];
+    for (let x = 0; x < width; x++)
+        stack.push(x, (height - 1) * width + x);
+    for (let y = 0; y < height; y++)
+        stack.push(y * width, y * width + width - 1);
+    while (stack.length > 0) {
+        const i = stack.pop();
+        if (closed[i] !== 0 || outside[i] !== 0)
+            continue;
+        outside[i] = 1;
+        const x = i % width, y = (i - x) / width;
+        if (x > 0) stack.push(i - 1);
+        if (x < width - 1) stack.push(i + 1);
+        if (y > 0) stack.push(i - width);
+        if (y < height - 1) stack.push(i + width);
+    }
+    // The dilation is undone on the enclosed area
+    const inside = erode(outside.map(e => 1 - e), width, height, gap);
+    const largest = components(inside, width, height).pixels.reduce((best, e) => e.length > best.length ? e : best, []);
+    if (largest.length < MIN_AREA * width * height)
+        return null;
+    const points = contour(inside, width, height, largest.reduce((a, b) => Math.min(a, b)));
+    // Closed contours are simplified as two polylines, between the start and its farthest point
+    const far = points.reduce((best, p, i) => Math.hypot(p.x - points[0].x, p.y - points[0].y) >
+                                            Math.hypot(points[best].x - points[0].x, points[best].y - points[0].y)
+                                            ? i : best, 0);
+    const polygon = [...simplify(points.slice(0, far + 1), epsilon).slice(0, -1),
+                     ...simplify([...points.slice(far), points[0]], epsilon).slice(0, -1)];
+    return polygon.length < 3 ? null : polygon.map(p => ({ x: p.x + .5, y: p.y + .5 }));
+}
+
+
+// Detect the walls and the outer boundary of a floorplan image
+function detect(image, sensitivity) {
+    const { width, height } = image;
+    const size = Math.max(width, height);
+    const thickness = Math.max(2, Math.round(MIN_THICKNESS * size * (1.5 - sensitivity)));
+    const radius = Math.floor(thickness / 2);
+    const minLength = MIN_LENGTH * size;
+
+    // Strokes thinner than the walls vanish with the opening
+    const dark = binarize(image, sensitivity);
+    const walls = removeSmall(dilate(erode(dark, width, height, radius), width, height, radius), width, height,
+                              minLength);
+
+    const segments = trace(skeletonize(walls, width, height), width)
+        .flatMap(line => {
+            const points = simplify(line, thickness);
+            return points.slice(1).map((p, i) => [points[i], p]);
+        })
+        .filter(([a, b]) => Math.hypot(b.x - a.x, b.y - a.y) >= thickness);
+    const tolerance = 2 * thickness;
+    const result = joinEnds(mergeCollinear(straighten(segments), tolerance), tolerance)
+        .filter(([a, b]) => Math.hypot(b.x - a.x, b.y - a.y) >= minLength);
+
+    return {
+        walls: result,
+        boundary: boundary(walls, width, height, Math.round(GAP * size / 2), thickness)
+    };
+}
+
+
+addEventListener('message', e => {
+    try {
+        postMessage(detect(e.data.image, e.data.sensitivity));
+    }
+    catch (err) {
+        postMessage({ error: err.message });
+    }
+});
@@ -0,0 +1,16 @@
+// This service worker serves map tiles from the offline tile cache, which is filled by
+// /js/tile-cache.mjs. Tiles which are not cached, and every other request, go to the network.
+
+const CACHE_NAME = 'opmode-tiles'; // Must match /js/tile-cache.mjs
+
+
+self.addEventListener('install', () => self.skipWaiting());
+
+// Control the open pages right away, so that offline tiles work without a reload
+self.addEventListener('activate', e => e.waitUntil(self.clients.claim()));
+
+self.addEventListener('fetch', e => {
+    if (e.request.method !== 'GET' || e.request.destination !== 'image')
+        return;
+    e.respondWith(caches.match(e.request.url, { cacheName: CACHE_NAME }).then(hit => hit ?? fetch(e.request)));
+});